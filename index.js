@@ -3,6 +3,14 @@
 const axios = require('axios')
 const getEnv = require('./resources/config-loader')
 const audit = require('./resources/audit')
+const ConnectorLoader = require('./resources/ai-connectors/connector-loader')
+const ConnectorChain = require('./resources/ai-connectors/connector-chain')
+const ResponseCache = require('./resources/ai-connectors/response-cache')
+const ConversationStore = require('./resources/ai-connectors/conversation-store')
+const ConnectorUtils = require('./resources/ai-connectors/connector-utils')
+const FlowStitcher = require('./resources/ai-connectors/flow-stitcher')
+const FlowChecks = require('./resources/ai-connectors/flow-checks')
+const FlowNormalizer = require('./resources/ai-connectors/flow-normalizer')
 
 let customNodes = []
 const summarized = () => customNodes.map(n => ({
@@ -38,11 +46,24 @@ module.exports = async function (RED) {
   }
 
   audit.setRED(RED)
-
-  // Determine which AI connector to use (default: azure-openai)
-  const connectorName = getEnv('AI_CONNECTOR', 'azure-openai')
-  // Dynamically load the connector module
-  let connector
+  ResponseCache.setUserDir(RED.settings && RED.settings.userDir)
+
+  // Determine which AI connector(s) to use (default: azure-openai). Each entry
+  // may be a built-in name, an npm module, a path, or a
+  // semanticFlowLanguage.connectors key; a list ("azure-openai,anthropic")
+  // is tried in order when a provider is down or rate-limited
+  const connectorSetting = getEnv('AI_CONNECTOR', 'azure-openai')
+  // Per-operation routing: AI_<PREFIX>_CONNECTOR and AI_<PREFIX>_MODEL override
+  // the connector list and the primary connector's model for one operation
+  const operationPrefixes = {
+    flow: 'AI_FLOW',
+    plan: 'AI_PLAN',
+    resync: 'AI_RESYNC',
+    description: 'AI_DESCRIPTION',
+    correction: 'AI_CORRECTION'
+  }
+  // Loaded connector chain per operation
+  const connectors = {}
   const packageInfoCache = new Map()
   const packageInfoCacheUrl = getEnv('PACKAGE_INFO_CACHE_URL', '')
   const packageInfoCacheRaw = getEnv('PACKAGE_INFO_CACHE', [])
@@ -69,11 +90,114 @@ module.exports = async function (RED) {
     }
   }
 
-  try {
-    // eslint-disable-next-line import/no-dynamic-require, global-require
-    connector = require(`./resources/ai-connectors/${connectorName}-connector-node`)
-  } catch (e) {
-    RED.log.error(`[semantic-flow-language] Failed to load connector "${connectorName}": ${e.message}`)
+  const parseConnectorList = setting => (Array.isArray(setting) ? setting : String(setting).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean)
+
+  // Loaded once per name - operations usually share most of their connectors
+  const loadedByName = new Map()
+
+  const loadConnector = name => {
+    if (!loadedByName.has(name)) {
+      const loaded = ConnectorLoader.load(name, RED.settings && RED.settings.userDir)
+
+      if (!loaded.connector) {
+        RED.log.error(`[semantic-flow-language] ${loaded.error}`)
+      }
+
+      loadedByName.set(name, loaded.connector)
+    }
+
+    return loadedByName.get(name)
+  }
+
+  Object.keys(operationPrefixes).forEach(operation => {
+    const prefix = operationPrefixes[operation]
+    const model = getEnv(`${prefix}_MODEL`, '')
+    const members = parseConnectorList(getEnv(`${prefix}_CONNECTOR`, connectorSetting))
+      .map(loadConnector)
+      .filter(Boolean)
+
+    if (members.length === 0) {
+      return
+    }
+
+    if (model) {
+      if (typeof members[0].withModel === 'function') {
+        members[0] = members[0].withModel(model)
+      } else {
+        RED.log.warn(`[semantic-flow-language] Connector "${members[0].name}" does not support ${prefix}_MODEL; using its default model`)
+      }
+    }
+
+    connectors[operation] = ConnectorChain.create(members)
+  })
+
+  // Records which connector answered (and any failover on the way) so outages
+  // show up in the audit trail, not only in the Node-RED log
+  const emitResponse = (promptId, aiMode, result, req) => {
+    const metadata = (result && result.metadata) || {}
+
+    audit.emit({
+      event_type: 'ai_response',
+      prompt_id: promptId,
+      ai_mode: aiMode,
+      success: !!(result && result.success),
+      connector: metadata.connector || null,
+      model: metadata.model || null,
+      failover: metadata.failover || [],
+      cache_hit: !!(metadata.cache && metadata.cache.hit),
+      error: (result && result.error) || null
+    }, req)
+  }
+
+  // AbortSignal that fires when the client goes away before its answer was
+  // sent (editor closed, Cancel, Clear). Passed to the connectors so the
+  // provider request is aborted instead of running on for nobody
+  const abortOnDisconnect = res => {
+    const controller = new AbortController()
+
+    if (typeof res.on === 'function') {
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          controller.abort()
+        }
+      })
+    }
+
+    return controller.signal
+  }
+
+  // validateConfig may be async (ollama checks the model is pulled), so the
+  // startup check only logs - it never blocks plugin registration
+  const checkConnectorAtStartup = async () => {
+    // Each chain member is checked on its own so a broken fallback is reported
+    // even while the primary is healthy. Operations routed to the same
+    // connector and model are checked once
+    const checked = new Set()
+    const members = Object.values(connectors)
+      .reduce((acc, chain) => acc.concat(chain.members), [])
+
+    await Promise.all(members.map(async member => {
+      try {
+        const config = member.getConfig()
+        const key = `${member.name}|${JSON.stringify(config)}`
+
+        if (checked.has(key)) {
+          return
+        }
+
+        checked.add(key)
+
+        const validation = await member.validateConfig(config)
+
+        if (!validation.valid) {
+          RED.log.warn(`[semantic-flow-language] Connector "${member.name}" is not ready: ${validation.errors.join(', ')}`)
+        }
+      } catch (e) {
+        RED.log.warn(`[semantic-flow-language] Connector "${member.name}" check failed: ${e.message}`)
+      }
+    }))
   }
 
   const packageInfo = async name => {
@@ -128,60 +252,453 @@ module.exports = async function (RED) {
     return res.json({ success: true })
   })
 
-  // Register HTTP endpoint for AI flow generation
-  // eslint-disable-next-line consistent-return
-  RED.httpAdmin.post('/ai/build-flow', async (req, res) => {
+  /*
+    Hierarchical generation for flows too large for one answer (a single
+    generateFlow call hits the output limit at around 40-60 nodes). Each
+    stage of the outline (a normalized plan) is generated on its own and
+    sees only the interface of its neighbours: the msg the previous stage
+    reported sending on, and what the next stage does. flow-stitcher.js
+    then joins the stages with fresh ids and wires them in order.
+    Progress is reported per stage ({ stage, stages } next to the node
+    count of all stages so far). The first failing stage fails the build, as
+    does an outline without stages. prompt is the full prompt of the build,
+    with the user's clarifications and plan.
+  */
+  const buildInStages = async (connector, prompt, outline, context, options = {}) => {
+    const stages = []
+    let built = 0
+    let result = null
+
+    if (!outline || !Array.isArray(outline.stages) || outline.stages.length === 0) {
+      return {
+        success: false,
+        flow: [],
+        error: 'The flow outline has no stages to build',
+        errorCode: 'invalid_response',
+        metadata: {}
+      }
+    }
+
+    for (let i = 0; i < outline.stages.length && !(result && !result.success); i += 1) {
+      const earlier = built
+      const previous = i > 0 ? stages[i - 1].interface : null
+      const onProgress = typeof options.onProgress === 'function'
+        ? progress => options.onProgress({
+          ...progress,
+          nodeCount: earlier + progress.nodeCount,
+          flowName: outline.title || progress.flowName,
+          stage: i + 1,
+          stages: outline.stages.length
+        })
+        : undefined
+
+      // eslint-disable-next-line no-await-in-loop
+      result = await connector.generateFlow(
+        ConnectorUtils.renderStagePrompt(prompt, outline, i, previous),
+        { customNodes: context.customNodes, stage: true },
+        undefined,
+        { signal: options.signal, validations: options.validations, onProgress }
+      )
+
+      if (result.success) {
+        built += result.flow.length
+        stages.push({
+          name: outline.stages[i].name,
+          flow: result.flow,
+          interface: result.interface,
+          connector: (result.metadata || {}).connector || null
+        })
+      }
+    }
+
+    if (!result.success) {
+      return {
+        ...result,
+        error: `Stage ${stages.length + 1} (${outline.stages[stages.length].name}) failed: ${result.error}`
+      }
+    }
+
+    const stitched = FlowStitcher.stitch(stages)
+
+    return {
+      success: true,
+      flowName: outline.title || result.flowName,
+      flow: stitched.flow,
+      metadata: {
+        connector: result.metadata.connector,
+        model: result.metadata.model,
+        hierarchical: {
+          stages: stages.map(stage => ({
+            name: stage.name,
+            nodeCount: stage.flow.length,
+            connector: stage.connector
+          })),
+          links: stitched.links,
+          warnings: stitched.warnings
+        }
+      }
+    }
+  }
+
+  // What flow-checks.js takes from the runtime: its node registry and its
+  // JSONata parser. tabs are the tabs a partial flow may sit on
+  const checkOptions = (tabs = []) => ({
+    isKnownType: type => !!(RED.nodes && typeof RED.nodes.getType === 'function'
+      && RED.nodes.getType(type)),
+    parseJsonata: RED.util && typeof RED.util.prepareJSONataExpression === 'function'
+      ? expression => RED.util.prepareJSONataExpression(expression, {})
+      : undefined,
+    tabs: tabs.filter(Boolean)
+  })
+
+  // Applies the deterministic fixes of flow-normalizer.js to a successful
+  // answer and lists them in fixes. existing are the nodes the flow was made
+  // from: their ids are kept and their tabs are valid z values. Patch answers
+  // are left alone - their operations name the ids the model chose
+  const normalizeResult = (result, existing) => {
+    if (!result.success || result.patch || result.fixes) {
+      return result
+    }
+
+    if (!Array.isArray(result.flow)) {
+      return { ...result, fixes: [] }
+    }
+
+    const nodes = Array.isArray(existing) ? existing : []
+    const { flow, fixes } = FlowNormalizer.normalize(result.flow, {
+      keepIds: nodes.map(node => node.id),
+      tabs: nodes.map(node => node.z).filter(Boolean),
+      customNodes
+    })
+
+    return { ...result, flow, fixes }
+  }
+
+  /*
+    Best-of-N generation: with AI_FLOW_CANDIDATES above 1 the prompt is
+    generated that many times in parallel, candidate i at the i-th of
+    AI_FLOW_CANDIDATE_TEMPERATURES (cycled, the connector's default when
+    unset). Each flow is normalized (normalizeResult), then checked by
+    flow-checks.js as /ai/validate-flow does, and the one with the lowest
+    score wins - the earliest on a tie, failed candidates last.
+    metadata.candidates lists every candidate as { candidate, temperature,
+    success, nodeCount, score, problems, selected }, temperature being the one
+    the connector reports it sent (null for Azure OpenAI, which sends none).
+    Only the first candidate reports progress.
+  */
+  const generateCandidates = async (connector, prompt, context, options = {}) => {
+    const count = Math.floor(Number(getEnv('AI_FLOW_CANDIDATES', 1))) || 1
+    const temperatures = parseConnectorList(getEnv('AI_FLOW_CANDIDATE_TEMPERATURES', ''))
+      .map(Number)
+      .filter(Number.isFinite)
+    const checks = checkOptions((context.nodes || []).map(node => node.z))
+
+    if (count <= 1) {
+      return normalizeResult(
+        await connector.generateFlow(prompt, context, undefined, options),
+        context.nodes
+      )
+    }
+
+    const results = await Promise.all(Array.from({ length: count }, (_, i) => {
+      const temperature = temperatures.length > 0
+        ? temperatures[i % temperatures.length]
+        : undefined
+
+      return connector.generateFlow(prompt, context, undefined, {
+        ...options,
+        onProgress: i === 0 ? options.onProgress : undefined,
+        temperature
+      }).then(answer => normalizeResult(answer, context.nodes)).then(result => ({
+        result,
+        temperature: (result.metadata || {}).temperature,
+        ...(result.success
+          ? FlowChecks.score(FlowChecks.check(result.flow, customNodes, checks))
+          : { score: null, problems: {} })
+      }))
+    }))
+    const rank = candidate => (candidate.result.success ? candidate.score : Infinity)
+    const best = results
+      .reduce((acc, candidate) => (rank(candidate) < rank(acc) ? candidate : acc))
+
+    return {
+      ...best.result,
+      metadata: {
+        ...(best.result.metadata || {}),
+        candidates: results.map((candidate, i) => ({
+          candidate: i + 1,
+          temperature: typeof candidate.temperature === 'number' ? candidate.temperature : null,
+          success: candidate.result.success,
+          nodeCount: (candidate.result.flow || []).length,
+          score: candidate.score,
+          problems: candidate.problems,
+          selected: candidate === best
+        }))
+      }
+    }
+  }
+
+  // Shared by /ai/build-flow and its streaming variant. Resolves with the HTTP
+  // status and response body; options are passed on to generateFlow.
+  // A body with conversation: { id } is a turn of a conversation
+  // (conversation-store.js): the earlier turns are sent along, and the answer
+  // carries conversation: { id, turns, diff }. A missing or expired id starts
+  // a new conversation.
+  // With clarify: true the AI may answer an ambiguous prompt with up to
+  // AI_MAX_CLARIFYING_QUESTIONS questions (output.questions) instead of a
+  // flow. The answers come back as clarifications: [{ id, question, answer }]
+  // and are appended to the prompt; a request carrying them is always built.
+  // A plan approved in the sidebar (/ai/plan-flow) is appended the same way.
+  // A new flow is built in stages (buildInStages) when the approved plan has
+  // AI_HIERARCHICAL_MIN_STAGES stages or more, or when the body asks for it
+  // with hierarchical: true - the outline is then planned first.
+  // With AI_FLOW_OUTPUT=patch, changes to an existing tab come back as patch
+  // operations (flow-patch.js) in output.patch next to the patched flow.
+  // A flow built in one piece is the best of AI_FLOW_CANDIDATES candidates
+  // (generateCandidates) unless the AI may still ask clarifying questions.
+  // Every flow answer goes through normalizeResult and lists its fixes.
+  const buildFlow = async (req, options = {}) => {
     let output = { success: false, flow: [], error: '' }
 
     try {
-      const { prompt, context = {} } = req.body
+      const {
+        prompt,
+        context = {},
+        conversation,
+        clarify,
+        clarifications,
+        plan,
+        hierarchical
+      } = req.body
 
       if (!prompt || !prompt.trim()) {
         output.error = 'Prompt is required'
 
-        return res.status(400).json(output)
+        return { status: 400, output }
       }
 
       // Validate AI configuration
+      const connector = connectors.flow
       const aiConfig = connector.getConfig()
-      const validation = connector.validateConfig(aiConfig)
+      const validation = await connector.validateConfig(aiConfig)
 
       if (!validation.valid) {
         output.error = `AI not configured: ${validation.errors.join(', ')}`
 
-        return res.status(500).json(output)
+        return { status: 500, output }
       }
 
       // Generate a prompt_id that scopes all subsequent audit events for this
       // prompt (auto_verify_attempt, auto_verify_complete). Returned to the
       // client so it can include it in events it emits from the verify loop.
       const promptId = audit.generatePromptId()
+      const answered = Array.isArray(clarifications) && clarifications.length > 0
+      const fullPrompt = ConnectorUtils.withPlan(
+        ConnectorUtils.withAnswers(prompt, clarifications),
+        plan
+      )
 
       audit.emit({
         event_type: 'prompt_received',
         prompt_id: promptId,
-        prompt_text: prompt,
+        prompt_text: fullPrompt,
         ai_mode: 'flow_generation'
       }, req)
 
       context.customNodes = summarized()
+      context.maxQuestions = clarify && !answered && !plan && !hierarchical
+        ? Number(getEnv('AI_MAX_CLARIFYING_QUESTIONS', 3))
+        : 0
+      context.outputMode = String(getEnv('AI_FLOW_OUTPUT', 'flow')).trim().toLowerCase() === 'patch'
+        ? 'patch'
+        : 'flow'
+
+      const thread = conversation ? ConversationStore.resume(conversation.id) : null
+      // The connector checks of the validation above are reused by the calls
+      const flowOptions = { ...options, validations: validation.members }
+      let outline = ConnectorUtils.normalizePlan(plan)
+      let result = null
+      const staged = !(Array.isArray(context.nodes) && context.nodes.length > 0)
+        && (hierarchical === true || (!!outline
+          && outline.stages.length >= Number(getEnv('AI_HIERARCHICAL_MIN_STAGES', 5))))
+
+      if (staged && !outline) {
+        const planned = await connectors.plan.planFlow(prompt, context, undefined, {
+          signal: options.signal
+        })
+
+        if (planned.success) {
+          outline = planned.plan
+        } else if (planned.errorCode === 'cancelled') {
+          result = planned
+        } else {
+          RED.log.warn(`[ai-flow-builder] No stage outline, building in one piece: ${planned.error}`)
+        }
+      }
 
-      // Generate flow using AI connector
-      const result = await connector.generateFlow(prompt, context)
+      if (!result && staged && outline && outline.stages.length > 1) {
+        result = await buildInStages(connector, fullPrompt, outline, context, flowOptions)
+      } else if (!result) {
+        // Generate flow using AI connector
+        const generateOptions = {
+          ...flowOptions,
+          history: thread ? ConversationStore.history(thread.id) : []
+        }
+
+        result = context.maxQuestions > 0
+          ? await connector.generateFlow(fullPrompt, context, undefined, generateOptions)
+          : await generateCandidates(connector, fullPrompt, context, generateOptions)
+      }
+
+      result = normalizeResult(result, context.nodes)
+
+      emitResponse(promptId, 'flow_generation', result, req)
 
       output = result
       output.promptId = promptId
 
-      if (result.success) {
+      if (thread && result.success && !result.questions) {
+        const turn = ConversationStore.append(thread.id, {
+          prompt: fullPrompt,
+          flowName: result.flowName,
+          flow: result.flow,
+          before: context.nodes
+        })
+
+        output.conversation = { id: thread.id, turns: thread.turns.length, diff: turn.diff }
+      }
+
+      if (result.questions) {
+        RED.log.info(`[ai-flow-builder] Asked ${result.questions.length} clarifying questions`)
+      } else if (result.success && result.metadata && result.metadata.hierarchical) {
+        RED.log.info(`[ai-flow-builder] Generated ${result.flow.length} nodes in ${result.metadata.hierarchical.stages.length} stages from prompt`)
+      } else if (result.success && result.metadata && result.metadata.candidates) {
+        RED.log.info(`[ai-flow-builder] Generated ${result.flow.length} nodes from prompt, best of ${result.metadata.candidates.length} candidates`)
+      } else if (result.patch) {
+        RED.log.info(`[ai-flow-builder] Patched the flow with ${result.patch.length} operations from prompt`)
+      } else if (result.success) {
         RED.log.info(`[ai-flow-builder] Generated ${result.flow.length} nodes from prompt`)
+      } else if (result.errorCode === 'cancelled') {
+        RED.log.info('[ai-flow-builder] Cancelled by the client')
       } else {
         RED.log.warn(`[ai-flow-builder] Failed: ${result.error}`)
       }
 
-      res.json(output)
+      return { status: 200, output }
     } catch (e) {
       output.error = e.message || 'Internal server error'
       RED.log.error(`[ai-flow-builder] Error: ${e.message}`)
+
+      return { status: 500, output }
+    }
+  }
+
+  // Register HTTP endpoint for AI flow generation
+  RED.httpAdmin.post('/ai/build-flow', async (req, res) => {
+    const { status, output } = await buildFlow(req, { signal: abortOnDisconnect(res) })
+
+    res.status(status).json(output)
+  })
+
+  // Streaming variant of /ai/build-flow as server-sent events: "progress"
+  // ({ nodeCount, flowName, chars }) while the answer arrives, then one
+  // "result" with the same body /ai/build-flow returns. Connectors that cannot
+  // stream skip straight to "result". Closing the request (the sidebar's
+  // Cancel) stops further events and aborts the provider call.
+  RED.httpAdmin.post('/ai/build-flow/stream', async (req, res) => {
+    let closed = false
+
+    const sendEvent = (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+      }
+    }
+
+    res.on('close', () => {
+      closed = true
+    })
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    sendEvent('start', {
+      streaming: !!(connectors.flow && connectors.flow.supportsStreaming())
+    })
+
+    const { status, output } = await buildFlow(req, {
+      onProgress: progress => sendEvent('progress', progress),
+      signal: abortOnDisconnect(res)
+    })
+
+    sendEvent('result', { ...output, status })
+    res.end()
+  })
+
+  // First half of plan-then-build: returns a plan ({ title, summary, stages,
+  // externalSystems, configNodes }) for the user to edit and approve. The
+  // approved plan is built by /ai/build-flow (body.plan), so a large automation
+  // is only generated once the approach is agreed on.
+  // eslint-disable-next-line consistent-return
+  RED.httpAdmin.post('/ai/plan-flow', async (req, res) => {
+    let output = { success: false, plan: null, error: '' }
+
+    try {
+      const { prompt, context = {} } = req.body || {}
+
+      if (!prompt || !prompt.trim()) {
+        output.error = 'Prompt is required'
+
+        return res.status(400).json(output)
+      }
+
+      const connector = connectors.plan
+      const aiConfig = connector.getConfig()
+      const validation = await connector.validateConfig(aiConfig)
+
+      if (!validation.valid) {
+        output.error = `AI not configured: ${validation.errors.join(', ')}`
+
+        return res.status(500).json(output)
+      }
+
+      const promptId = audit.generatePromptId()
+
+      audit.emit({
+        event_type: 'prompt_received',
+        prompt_id: promptId,
+        prompt_text: prompt,
+        ai_mode: 'flow_planning'
+      }, req)
+
+      context.customNodes = summarized()
+
+      const result = await connector.planFlow(
+        prompt,
+        context,
+        undefined,
+        { signal: abortOnDisconnect(res), validations: validation.members }
+      )
+
+      emitResponse(promptId, 'flow_planning', result, req)
+
+      output = result
+      output.promptId = promptId
+
+      if (result.success) {
+        RED.log.info(`[ai-flow-planner] Planned ${result.plan.stages.length} stages from prompt`)
+      } else if (result.errorCode === 'cancelled') {
+        RED.log.info('[ai-flow-planner] Cancelled by the client')
+      } else {
+        RED.log.warn(`[ai-flow-planner] Failed: ${result.error}`)
+      }
+
+      res.json(output)
+    } catch (e) {
+      output.error = e.message || 'Internal server error'
+      RED.log.error(`[ai-flow-planner] Error: ${e.message}`)
       res.status(500).json(output)
     }
   })
@@ -207,17 +724,20 @@ module.exports = async function (RED) {
       }
 
       // Validate AI configuration
+      const connector = connectors.resync
       const aiConfig = connector.getConfig()
-      const validation = connector.validateConfig(aiConfig)
+      const validation = await connector.validateConfig(aiConfig)
 
       if (!validation.valid) {
         output.error = `AI not configured: ${validation.errors.join(', ')}`
         return res.status(500).json(output)
       }
 
+      const promptId = audit.generatePromptId()
+
       audit.emit({
         event_type: 'prompt_received',
-        prompt_id: audit.generatePromptId(),
+        prompt_id: promptId,
         prompt_text: info,
         ai_mode: 'node_update'
       }, req)
@@ -231,13 +751,18 @@ module.exports = async function (RED) {
         info,
         currentConfig,
         false,
-        nodeName
+        nodeName,
+        { signal: abortOnDisconnect(res), validations: validation.members }
       )
 
+      emitResponse(promptId, 'node_update', result, req)
+
       output = result
 
       if (result.success) {
         RED.log.info(`[ai-resync] Re-synced node ${nodeId} based on info change`)
+      } else if (result.errorCode === 'cancelled') {
+        RED.log.info(`[ai-resync] Re-sync of node ${nodeId} cancelled by the client`)
       } else {
         RED.log.warn(`[ai-resync] Failed to re-sync node ${nodeId}: ${result.error}`)
       }
@@ -270,8 +795,9 @@ module.exports = async function (RED) {
       }
 
       // Validate AI configuration
+      const connector = connectors.description
       const aiConfig = connector.getConfig()
-      const validation = connector.validateConfig(aiConfig)
+      const validation = await connector.validateConfig(aiConfig)
 
       if (!validation.valid) {
         output.error = `AI not configured: ${validation.errors.join(', ')}`
@@ -279,9 +805,11 @@ module.exports = async function (RED) {
         return res.status(500).json(output)
       }
 
+      const promptId = audit.generatePromptId()
+
       audit.emit({
         event_type: 'prompt_received',
-        prompt_id: audit.generatePromptId(),
+        prompt_id: promptId,
         prompt_text: `(generate-description for ${nodeType} ${nodeId})`,
         ai_mode: 'description_generation'
       }, req)
@@ -292,13 +820,18 @@ module.exports = async function (RED) {
         nodeType,
         currentConfig,
         false,
-        nodeName
+        nodeName,
+        { signal: abortOnDisconnect(res), validations: validation.members }
       )
 
+      emitResponse(promptId, 'description_generation', result, req)
+
       output = result
 
       if (result.success) {
         RED.log.info(`[ai-generate-description] Generated description for node ${nodeId}`)
+      } else if (result.errorCode === 'cancelled') {
+        RED.log.info(`[ai-generate-description] Description for node ${nodeId} cancelled by the client`)
       } else {
         RED.log.warn(`[ai-generate-description] Failed for node ${nodeId}: ${result.error}`)
       }
@@ -311,13 +844,52 @@ module.exports = async function (RED) {
     }
   })
 
+  // Empties the node resync / description response cache (AI_CACHE)
+  RED.httpAdmin.post('/ai/cache/clear', async (req, res) => {
+    const cleared = await ResponseCache.clear()
+
+    RED.log.info(`[semantic-flow-language] Cleared ${cleared} cached AI responses`)
+    res.json({ success: true, cleared })
+  })
+
+  // Static checks of a flow without the editor (flow-checks.js), for headless
+  // clients and CI on flows files. Body: { flow, tabs } - flow is a node array
+  // or a flows file's { flows }, tabs the ids of tabs outside flow its nodes
+  // may sit on. Answers { success, valid, score, counts, problems }
+  // eslint-disable-next-line consistent-return
+  RED.httpAdmin.post('/ai/validate-flow', (req, res) => {
+    const { flow, tabs } = req.body || {}
+    const nodes = Array.isArray(flow) ? flow : flow && flow.flows
+
+    if (!Array.isArray(nodes)) {
+      return res.status(400).json({ success: false, error: 'flow must be an array of nodes' })
+    }
+
+    const problems = FlowChecks.check(
+      nodes,
+      customNodes,
+      checkOptions(Array.isArray(tabs) ? tabs : [])
+    )
+    const { score, problems: counts } = FlowChecks.score(problems)
+
+    RED.log.info(`[ai-flow-validator] Found ${problems.length} problems in ${nodes.length} nodes`)
+    res.json({
+      success: true,
+      valid: problems.length === 0,
+      score,
+      counts,
+      problems
+    })
+  })
+
   // Returns auto-verify settings + auto-deploy gate result to the editor.
   RED.httpAdmin.get('/ai/auto-verify/settings', (req, res) => {
     res.json({ success: true, settings: getAutoVerifySettings() })
   })
 
   // Self-correction endpoint: takes the current (failing) flow, the correction
-  // diff, and the error summary; asks the AI for a corrected flow.
+  // diff, and the error summary; asks the AI for a corrected flow. The answer
+  // is normalized (normalizeResult) and lists the fixes made in code.
   // The AI's "existing flow context" is built ONLY from currentFlow — we do not
   // accept (and do not look at) any other client-supplied flow context, so the
   // model never sees unrelated tabs from the user's project.
@@ -342,8 +914,9 @@ module.exports = async function (RED) {
         return res.status(400).json(output)
       }
 
+      const connector = connectors.correction
       const aiConfig = connector.getConfig()
-      const validation = connector.validateConfig(aiConfig)
+      const validation = await connector.validateConfig(aiConfig)
 
       if (!validation.valid) {
         output.error = `AI not configured: ${validation.errors.join(', ')}`
@@ -380,12 +953,19 @@ module.exports = async function (RED) {
         `CORRECTION DIFF (changes between the prior attempt and this attempt):\n${correctionDiff || '(none)'}`
       ].join('\n')
 
-      const result = await connector.generateFlow(correctionPrompt, correctionContext)
+      const result = await connector.generateFlow(
+        correctionPrompt,
+        correctionContext,
+        undefined,
+        { signal: abortOnDisconnect(res), validations: validation.members }
+      )
 
-      output = result
+      output = normalizeResult(result, correctionContext.nodes)
 
       if (result.success) {
-        RED.log.info(`[ai-auto-verify] Correction attempt ${attemptNumber} returned ${result.flow.length} nodes`)
+        RED.log.info(`[ai-auto-verify] Correction attempt ${attemptNumber} returned ${(result.flow || []).length} nodes, ${(output.fixes || []).length} fixed in code`)
+      } else if (result.errorCode === 'cancelled') {
+        RED.log.info(`[ai-auto-verify] Correction attempt ${attemptNumber} cancelled by the client`)
       } else {
         RED.log.warn(`[ai-auto-verify] Correction attempt ${attemptNumber} failed: ${result.error}`)
       }
@@ -423,6 +1003,9 @@ module.exports = async function (RED) {
     type: 'node-red-theme'
   })
 
+  checkConnectorAtStartup().catch(e => {
+    RED.log.warn(`[semantic-flow-language] Connector check failed: ${e.message}`)
+  })
   await ensurePackageInfoCache()
 
   RED.log.info('[semantic-flow-language] Plugin registered with AI flow builder endpoint')
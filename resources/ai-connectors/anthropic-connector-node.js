@@ -1,34 +1,28 @@
 // Anthropic (Claude) Connector - Node.js version
-// Server-side implementation using axios
-const axios = require('axios')
-const getEnv = require('../config-loader')
-const ConnectorUtils = require('./connector-utils')
+// Server-side implementation on top of the shared BaseConnector runtime
+const BaseConnector = require('./base-connector')
+const ResponseSchemas = require('./response-schemas')
 
 const AnthropicConnector = {
+  ...BaseConnector,
   name: 'anthropic',
+  charsPerToken: 3.5,
+  defaultContextWindow: 200000,
 
   getConfig() {
     return {
-      apiKey: getEnv('AI_API_KEY'),
-      model: getEnv('AI_MODEL', 'claude-3-5-sonnet-20241022'),
-      maxCompletionTokens: getEnv('AI_MAX_COMPLETION_TOKENS'),
-      maxTokens: getEnv('AI_MAX_TOKENS'),
-      maxFlowContextChars: getEnv('AI_MAX_FLOW_CONTEXT_CHARS') || 18000
+      apiKey: this.env('AI_API_KEY'),
+      model: this.env('AI_MODEL', 'claude-3-5-sonnet-20241022'),
+      structuredOutput: String(this.env('AI_STRUCTURED_OUTPUT', 'true')) !== 'false',
+      maxCompletionTokens: this.env('AI_MAX_COMPLETION_TOKENS'),
+      maxTokens: this.env('AI_MAX_TOKENS'),
+      contextWindow: this.env('AI_CONTEXT_WINDOW'),
+      maxFlowContextChars: this.env('AI_MAX_FLOW_CONTEXT_CHARS')
     }
   },
 
   validateConfig(config) {
-    const required = ['apiKey']
-    const missing = required.filter(field => !config[field])
-
-    if (missing.length > 0) {
-      return {
-        valid: false,
-        errors: [`Missing required fields: ${missing.join(', ')}`]
-      }
-    }
-
-    return { valid: true, errors: [] }
+    return this.validateRequired(config, ['apiKey'])
   },
 
   addTokens(config, body, fallbackMax) {
@@ -39,258 +33,83 @@ const AnthropicConnector = {
     }
   },
 
-  async generateFlow(prompt, context, configOverride) {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      flow: [],
-      error: '',
-      metadata: {}
-    }
-
-    const systemPrompt = ConnectorUtils.buildSystemPrompt(context)
-    const userPrompt = ConnectorUtils.buildUserPrompt(prompt, context, config.maxFlowContextChars)
-
-    const endpoint = 'https://api.anthropic.com/v1/messages'
-
-    const body = {
-      model: config.model,
-      max_tokens: 4000,
-      system: systemPrompt,
-      messages: [
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.7
-    }
-
-    this.addTokens(config, body, 4000)
-
-    try {
-      const response = await axios.post(endpoint, body, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': config.apiKey,
-          'anthropic-version': '2023-06-01'
-        }
-      })
-
-      const content = response.data.content[0]?.text
-
-      if (!content) {
-        output.error = 'No content in response'
-        return output
-      }
-
-      // Strip markdown code blocks if present
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
-        return output
-      }
-
-      output.success = true
-      output.flow = parsed.flow || []
-      output.flowName = parsed.flowName || ''
-      output.metadata = {
-        usage: response.data.usage,
-        model: response.data.model,
-        stopReason: response.data.stop_reason
-      }
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to generate flow'
-      }
-    }
-
-    return output
+  getEndpoint() {
+    return 'https://api.anthropic.com/v1/messages'
   },
 
-  async resyncNode(nodeId, nodeType, info, currentConfig, configOverride, customNodes, nodeName = '') {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      updatedNode: null,
-      error: ''
+  getHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01'
     }
+  },
 
-    const systemPrompt = this.buildSystemPrompt('node')
-    const prompt = this.setPlaceholders(NODE_SEMANTIC_UPDATE_PROMPT, {
-      nodeType,
-      nodeId,
-      nodeName: nodeName || '',
-      info,
-      currentConfig: JSON.stringify(currentConfig, null, 2)
-    })
-
-    const endpoint = 'https://api.anthropic.com/v1/messages'
-
+  buildRequestBody(config, request) {
     const body = {
       model: config.model,
-      max_tokens: 2000,
-      system: systemPrompt,
-      messages: [
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.3
+      max_tokens: request.maxTokens,
+      system: request.systemPrompt,
+      messages: request.messages,
+      temperature: request.temperature
+    }
+    const schema = ResponseSchemas.get(request.operation)
+
+    // Anthropic has no JSON mode; forcing a single tool makes the answer the
+    // tool input, which is validated against the schema
+    if (config.structuredOutput && schema) {
+      body.tools = [{
+        name: schema.name,
+        description: schema.description,
+        input_schema: schema.schema
+      }]
+      body.tool_choice = { type: 'tool', name: schema.name }
     }
 
-    this.addTokens(config, body, 2000)
-
-    try {
-      const response = await axios.post(endpoint, body, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': config.apiKey,
-          'anthropic-version': '2023-06-01'
-        }
-      })
-
-      const content = response.data.content[0]?.text
-
-      if (!content) {
-        output.error = 'No content in response'
-        return output
-      }
+    this.addTokens(config, body, request.maxTokens)
 
-      // Strip markdown code blocks if present
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
+    return body
+  },
 
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
-        return output
-      }
+  // A forced tool call answers with tool_use.input (already an object); the
+  // text block is kept for structuredOutput=false
+  extractText(data) {
+    const content = data?.content || []
+    const toolUse = content.find(part => part.type === 'tool_use')
+    const block = content.find(part => part.type === 'text' || part.text)
 
-      output.success = true
-      output.updatedNode = parsed
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to resync node'
-      }
+    if (toolUse) {
+      return JSON.stringify(toolUse.input)
     }
 
-    return output
+    return (block && block.text) || ''
   },
 
-  async generateDescription(nodeId, nodeType, currentConfig, configOverride, nodeName = '') {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      name: '',
-      description: '',
-      error: ''
+  // Text arrives in content_block_delta events (partial_json for tool input);
+  // message_start/stop and ping events carry none
+  extractStreamText(chunk) {
+    if (chunk?.type !== 'content_block_delta') {
+      return ''
     }
 
-    try {
-      const systemPrompt = ConnectorUtils.buildSystemPrompt(currentConfig, 'node')
-      const prompt = ConnectorUtils.setPlaceholders(ConnectorUtils.DESCRIPTION_GENERATION_PROMPT, {
-        nodeType,
-        nodeId,
-        nodeName: nodeName || '',
-        currentConfig: JSON.stringify(currentConfig, null, 2)
-      })
-
-      const body = {
-        model: config.model,
-        max_tokens: 500,
-        temperature: 0.3,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
-      }
-
-      this.addTokens(config, body, 500)
-
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        body,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': config.apiKey,
-            'anthropic-version': '2023-06-01'
-          }
-        }
-      )
-
-      const content = response.data?.content?.[0]?.text || ''
-
-      if (!content) {
-        output.error = 'No description in response'
-        return output
-      }
-
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${cleanContent.substring(0, 200)}`
-        return output
-      }
-
-      if (!parsed.description || !parsed.name) {
-        output.error = 'AI response missing name or description'
-        return output
-      }
+    return chunk.delta?.text || chunk.delta?.partial_json || ''
+  },
 
-      output.success = true
-      output.name = parsed.name.trim()
-      output.description = parsed.description.trim()
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to generate description'
-      }
+  extractMetadata(data) {
+    return {
+      stopReason: data.stop_reason
     }
+  },
 
-    return output
-  }
-}
+  // Streamed answers report the stop reason in the message_delta event
+  isTruncated(data) {
+    return (data.stop_reason || data.delta?.stop_reason) === 'max_tokens'
+  },
 
-// expose ConnectorUtils helpers on the connector for tests/consumers
-// preserve connector-specific serializeFlowContext if present
-// attach ConnectorUtils helpers when missing (include serializeFlowContext)
-Object.keys(ConnectorUtils).forEach(key => {
-  if (AnthropicConnector[key] === undefined) {
-    AnthropicConnector[key] = ConnectorUtils[key]
+  // A forced tool call cannot be continued; a plain text answer can
+  canContinue(config) {
+    return !config.structuredOutput
   }
-})
+}
 
 module.exports = AnthropicConnector
-
-// prefer connector-config-aware serializeFlowContext so tests respect env override
-AnthropicConnector.serializeFlowContext = function (nodes = []) {
-  const config = this.getConfig()
-  const max = config && config.maxFlowContextChars ? Number(config.maxFlowContextChars) : undefined
-  return ConnectorUtils.serializeFlowContext(nodes, max)
-}
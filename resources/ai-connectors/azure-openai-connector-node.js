@@ -1,25 +1,32 @@
 // Azure OpenAI Connector - Node.js version
-// Server-side implementation using axios
-const axios = require('axios')
-const getEnv = require('../config-loader')
-const ConnectorUtils = require('./connector-utils')
+// Server-side implementation on top of the shared BaseConnector runtime
+const BaseConnector = require('./base-connector')
+const OpenAIConnector = require('./openai-connector-node')
+const ResponseSchemas = require('./response-schemas')
 
 const AzureOpenAIConnector = {
+  ...BaseConnector,
   name: 'azure-openai',
+  charsPerToken: OpenAIConnector.charsPerToken,
+  defaultContextWindow: OpenAIConnector.defaultContextWindow,
+  // matched against the deployment name, which often repeats the model name
+  contextWindows: OpenAIConnector.contextWindows,
 
   getConfig() {
     return {
-      endpoint: getEnv('AI_ENDPOINT'),
-      apiKey: getEnv('AI_API_KEY'),
-      apiVersion: getEnv('AI_API_VERSION') || '2024-12-01-preview',
-      deploymentName: getEnv('AI_DEPLOYMENT_NAME'),
-      searchEndpoint: getEnv('AI_SEARCH_ENDPOINT'),
-      searchApiKey: getEnv('AI_SEARCH_API_KEY'),
-      searchIndex: getEnv('AI_SEARCH_INDEX'),
-      embeddingDeployment: getEnv('AI_EMBEDDING_DEPLOYMENT'),
-      maxCompletionTokens: getEnv('AI_MAX_COMPLETION_TOKENS'),
-      maxTokens: getEnv('AI_MAX_TOKENS'),
-      maxFlowContextChars: getEnv('AI_MAX_FLOW_CONTEXT_CHARS') || 18000
+      endpoint: this.env('AI_ENDPOINT'),
+      apiKey: this.env('AI_API_KEY'),
+      apiVersion: this.env('AI_API_VERSION') || '2024-12-01-preview',
+      deploymentName: this.env('AI_DEPLOYMENT_NAME'),
+      searchEndpoint: this.env('AI_SEARCH_ENDPOINT'),
+      searchApiKey: this.env('AI_SEARCH_API_KEY'),
+      searchIndex: this.env('AI_SEARCH_INDEX'),
+      embeddingDeployment: this.env('AI_EMBEDDING_DEPLOYMENT'),
+      structuredOutput: String(this.env('AI_STRUCTURED_OUTPUT', 'true')) !== 'false',
+      maxCompletionTokens: this.env('AI_MAX_COMPLETION_TOKENS'),
+      maxTokens: this.env('AI_MAX_TOKENS'),
+      contextWindow: this.env('AI_CONTEXT_WINDOW'),
+      maxFlowContextChars: this.env('AI_MAX_FLOW_CONTEXT_CHARS')
     }
   },
 
@@ -31,44 +38,48 @@ const AzureOpenAIConnector = {
     }
   },
 
-  validateConfig(config) {
-    const required = ['endpoint', 'apiKey', 'deploymentName']
-    const missing = required.filter(field => !config[field])
+  // Azure selects the model through the deployment, not a model field
+  applyModel(config, model) {
+    return { ...config, deploymentName: model }
+  },
 
-    if (missing.length > 0) {
-      return {
-        valid: false,
-        errors: [`Missing required fields: ${missing.join(', ')}`]
-      }
-    }
+  validateConfig(config) {
+    return this.validateRequired(config, ['endpoint', 'apiKey', 'deploymentName'])
+  },
 
-    return { valid: true, errors: [] }
+  getEndpoint(config) {
+    return `${config.endpoint.replace(/\/$/, '')}/openai/deployments/${config.deploymentName}/chat/completions?api-version=${config.apiVersion}`
   },
 
-  async generateFlow(prompt, context, configOverride) {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      flow: [],
-      error: '',
-      metadata: {}
+  getHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': config.apiKey
     }
-    const systemPrompt = ConnectorUtils.buildSystemPrompt(context)
-    const userPrompt = ConnectorUtils.buildUserPrompt(prompt, context, config.maxFlowContextChars)
-    const endpoint = `${config.endpoint.replace(/\/$/, '')}/openai/deployments/${config.deploymentName}/chat/completions?api-version=${config.apiVersion}`
+  },
+
+  // temperature is deliberately not sent - reasoning deployments reject it
+  sendsTemperature: false,
+
+  buildRequestBody(config, request) {
+    const useSearch = (request.operation === 'flow' || request.operation === 'patch')
+      && config.searchEndpoint && config.searchApiKey && config.searchIndex
     const body = {
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        { role: 'system', content: request.systemPrompt },
+        ...request.messages
       ],
-      // temperature: 0.7,
-      response_format: { type: 'json_object' }
+      // "On your data" (data_sources) does not take json_schema formats
+      response_format: config.structuredOutput && !useSearch
+        ? ResponseSchemas.openAIResponseFormat(request.operation)
+        : { type: 'json_object' }
     }
 
     this.addTokens(config, body)
-    // Add Azure AI Search if configured
+
+    // Add Azure AI Search if configured (flow generation only)
     // make sure your apiVersion supports data_sources
-    if (config.searchEndpoint && config.searchApiKey && config.searchIndex) {
+    if (useSearch) {
       body.data_sources = [
         {
           type: 'azure_search',
@@ -94,218 +105,26 @@ const AzureOpenAIConnector = {
       ]
     }
 
-    try {
-      const response = await axios.post(endpoint, body, {
-        headers: {
-          'Content-Type': 'application/json',
-          'api-key': config.apiKey
-        }
-      })
-      const content = response.data.choices[0]?.message?.content
-
-      if (!content) {
-        output.error = 'No content in response'
-        return output
-      }
-
-      // Strip markdown code blocks if present (```json ... ```)
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
-        return output
-      }
-
-      output.success = true
-      output.flow = parsed.flow || []
-      output.flowName = parsed.flowName || ''
-      output.metadata = {
-        usage: response.data.usage,
-        model: response.data.model,
-        citations: response.data.choices[0]?.message?.context?.citations
-      }
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to generate flow'
-      }
-    }
-
-    return output
+    return body
   },
 
-  async resyncNode(nodeId, nodeType, info, currentConfig, configOverride, nodeName = '') {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      updatedNode: null,
-      error: ''
-    }
-    const systemPrompt = ConnectorUtils.buildSystemPrompt(currentConfig, 'node')
-    const prompt = ConnectorUtils.setPlaceholders(ConnectorUtils.NODE_SEMANTIC_UPDATE_PROMPT, {
-      nodeType,
-      nodeId,
-      nodeName: nodeName || '',
-      info,
-      CUSTOM_NODES: ConnectorUtils.CUSTOM_NODES,
-      currentConfig: JSON.stringify(currentConfig, null, 2)
-    })
-
-    const endpoint = `${config.endpoint.replace(/\/$/, '')}/openai/deployments/${config.deploymentName}/chat/completions?api-version=${config.apiVersion}`
-
-    const body = {
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: prompt }
-      ],
-      // temperature: 0.3,
-      response_format: { type: 'json_object' }
-    }
-
-    this.addTokens(config, body)
-
-    try {
-      const response = await axios.post(endpoint, body, {
-        headers: {
-          'Content-Type': 'application/json',
-          'api-key': config.apiKey
-        }
-      })
-
-      const content = response.data.choices[0]?.message?.content
-
-      if (!content) {
-        output.error = 'No content in response'
-        return output
-      }
-
-      // Strip markdown code blocks if present
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
-        return output
-      }
-
-      output.success = true
-      output.updatedNode = parsed
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to resync node'
-      }
-    }
-
-    return output
+  extractText(data) {
+    return data?.choices?.[0]?.message?.content || ''
   },
 
-  async generateDescription(nodeId, nodeType, currentConfig, configOverride, nodeName = '') {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      name: '',
-      description: '',
-      error: ''
-    }
-
-    try {
-      const systemPrompt = ConnectorUtils.buildSystemPrompt(currentConfig, 'node')
-      const prompt = ConnectorUtils.setPlaceholders(ConnectorUtils.DESCRIPTION_GENERATION_PROMPT, {
-        nodeType,
-        nodeId,
-        nodeName: nodeName || '',
-        currentConfig: JSON.stringify(currentConfig, null, 2)
-      })
-      const body = {
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: prompt }
-        ],
-        response_format: { type: 'json_object' }
-        // temperature: 0.3
-      }
-
-      this.addTokens(config, body)
-
-      const response = await axios.post(
-        `${config.endpoint}/openai/deployments/${config.deploymentName}/chat/completions?api-version=${config.apiVersion}`,
-        body,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'api-key': config.apiKey
-          }
-        }
-      )
-
-      const content = response.data?.choices?.[0]?.message?.content || ''
-
-      if (!content) {
-        output.error = 'No description in response'
-        return output
-      }
-
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${cleanContent.substring(0, 200)}`
-        return output
-      }
-
-      if (!parsed.description || !parsed.name) {
-        output.error = `AI response missing name or description. Got: ${JSON.stringify(parsed)}`
-        return output
-      }
+  extractStreamText(chunk) {
+    return chunk?.choices?.[0]?.delta?.content || ''
+  },
 
-      output.success = true
-      output.name = parsed.name.trim()
-      output.description = parsed.description.trim()
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to generate description'
-      }
+  extractMetadata(data) {
+    return {
+      citations: data.choices?.[0]?.message?.context?.citations
     }
+  },
 
-    return output
+  isTruncated(data) {
+    return data?.choices?.[0]?.finish_reason === 'length'
   }
 }
 
-// expose ConnectorUtils helpers on the connector for tests/consumers
-Object.keys(ConnectorUtils).forEach(key => {
-  if (AzureOpenAIConnector[key] === undefined) {
-    AzureOpenAIConnector[key] = ConnectorUtils[key]
-  }
-})
-
 module.exports = AzureOpenAIConnector
@@ -1,40 +1,1000 @@
-/* eslint-disable no-unused-vars */
 /*
-  Base AI Connector Interface
-  Defines the contract all AI connectors must implement
-  Part of Semantic Flow Language - AI Integration
+  Base AI Connector
+  Defines the contract all AI connectors must implement and the shared runtime
+  that built-in connectors reuse. Part of Semantic Flow Language - AI Integration
 
-  Required methods:
+  Required methods (the contract index.js calls):
   - getConfig(): Returns connector-specific configuration from environment
   - validateConfig(config): Validates configuration, returns { valid, errors }
-  - generateFlow(prompt, context, configOverride): Generates Node-RED flow from prompt
-  - resyncNode(nodeId, nodeType, info, currentConfig): Re-syncs single node logic with AI
-  - buildSystemPrompt(): Returns system prompt for AI
-  - buildUserPrompt(prompt, context): Returns user prompt with context
+    (or a promise of it when validation needs to reach the provider)
+  - generateFlow(prompt, context, configOverride, options): Generates Node-RED flow
+    from prompt
+  - resyncNode(nodeId, nodeType, info, currentConfig, configOverride, nodeName, options):
+    Re-syncs single node logic with AI
+  - generateDescription(nodeId, nodeType, currentConfig, configOverride, nodeName, options):
+    Generates { name, description } for a node
+
+  options.signal, where given, is an AbortSignal that fires when the caller
+  went away (editor closed, Cancel, Clear); connectors should abort their
+  provider request and answer with errorCode "cancelled".
+
+  Optional methods:
+  - planFlow(prompt, context, configOverride, options): Plans a flow for the
+    user to review before it is built (/ai/plan-flow)
+
+  Third-party connectors are loaded by connector-loader.js, which rejects any
+  module missing one of the required methods.
+
+  Shared runtime: a provider connector spreads BaseConnector and only supplies
+  the provider-specific pieces. Sending the request, stripping code fences,
+  JSON parsing and HTTP error mapping all happen here.
+  - getEndpoint(config): URL to POST to
+  - getHeaders(config): Request headers (defaults to JSON content type)
+  - buildRequestBody(config, request): Provider body for
+    request = { operation, systemPrompt, messages, temperature, maxTokens }
+  - extractText(data): Model text from the provider response body
+  - extractUsage(data): Token usage from the provider response body
+  - extractMetadata(data, config): Extra provider metadata (stop reason, citations)
+  - isTruncated(data): Whether the answer hit the output token limit
+  - canContinue(config): Whether a truncated answer may be continued
+  - applyModel(config, model): Config with the model swapped, used by
+    withModel() for per-operation model routing (defaults to config.model)
+  - contextWindows / defaultContextWindow: [pattern, tokens] per model name,
+    read by getContextWindow(config) unless AI_CONTEXT_WINDOW is set
+  - charsPerToken: Local token estimate for the provider's tokenizer
+  - sendsTemperature: false for providers whose request body leaves the
+    temperature out; complete() then does not report it in metadata.temperature
+
+  Streaming (optional): a provider that implements extractStreamText(chunk)
+  streams generateFlow when the caller passes options.onProgress. The stream
+  is read as SSE ("data: {...}") or NDJSON lines, one JSON chunk per line.
+  - getStreamEndpoint(config): URL for streaming (defaults to getEndpoint)
+  - buildStreamRequestBody(config, request): Defaults to the normal body
+    with stream: true
+  - extractStreamText(chunk): Text delta carried by one chunk
+
+  generateFlow assembles its prompts, and the earlier turns of a conversation
+  (options.history), against the model's context window (token-budget.js)
+  and reports the tokens spent per section in metadata.tokenBudget.
+
+  Answers that are almost JSON are repaired (json-repair.js) and the fixes
+  reported in metadata.jsonRepair.
+
+  resyncNode and generateDescription answers go through response-cache.js when
+  AI_CACHE is on (metadata.cache tells hits from misses).
+
+  Requests are retried per retry-policy.js (count in metadata.retries). Failed
+  calls carry an errorCode (see classifyError) so callers such as
+  connector-chain.js can tell outages and rate limits from bad requests.
 */
+const { StringDecoder } = require('string_decoder')
 const axios = require('axios')
 const getEnv = require('../config-loader')
 const ConnectorUtils = require('./connector-utils')
+const FlowPatch = require('./flow-patch')
+const JsonRepair = require('./json-repair')
+const ResponseCache = require('./response-cache')
+const ResponseSchemas = require('./response-schemas')
+const RetryPolicy = require('./retry-policy')
+const TokenBudget = require('./token-budget')
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000
+const DEFAULT_MAX_TOKENS_CEILING = 16000
+const DEFAULT_MAX_CONTINUATIONS = 2
+
+// OpenAI "maximum context length is", Anthropic "prompt is too long", Gemini
+// "input token count ... exceeds the maximum", Ollama "context length"
+const CONTEXT_LENGTH_ERROR = /context_length_exceeded|context (length|window)|prompt is too long|input token count.*exceeds|too many tokens/i
+
+// Per-operation sampling defaults. Providers decide which of these they send.
+const OPERATIONS = {
+  flow: { temperature: 0.7, maxTokens: 4000, failure: 'Failed to generate flow' },
+  patch: { temperature: 0.3, maxTokens: 4000, failure: 'Failed to generate flow' },
+  plan: { temperature: 0.3, maxTokens: 2000, failure: 'Failed to plan flow' },
+  node: { temperature: 0.3, maxTokens: 2000, failure: 'Failed to resync node' },
+  description: { temperature: 0.3, maxTokens: 500, failure: 'Failed to generate description' }
+}
 
 const BaseConnector = {
   name: 'base',
+  OPERATIONS,
+  charsPerToken: 4,
+  sendsTemperature: true,
+  contextWindows: [],
+  defaultContextWindow: 8192,
+
   getConfig() {
     throw new Error('getConfig() must be implemented by connector')
   },
   validateConfig() {
     throw new Error('validateConfig() must be implemented by connector')
   },
-  async generateFlow() {
-    throw new Error('generateFlow() must be implemented by connector')
+  getEndpoint() {
+    throw new Error('getEndpoint() must be implemented by connector')
+  },
+  buildRequestBody() {
+    throw new Error('buildRequestBody() must be implemented by connector')
+  },
+  extractText() {
+    throw new Error('extractText() must be implemented by connector')
+  },
+
+  getHeaders() {
+    return { 'Content-Type': 'application/json' }
+  },
+
+  // Connector-scoped setting with a shared fallback: AI_MODEL for the anthropic
+  // connector reads AI_ANTHROPIC_MODEL first, so chained connectors can each
+  // carry their own model, key and URL
+  env(key, fallback = '') {
+    const scope = this.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')
+    const scopedKey = key.replace(/^AI_/, `AI_${scope}_`)
+
+    return getEnv(scopedKey) || getEnv(key, fallback)
+  },
+
+  applyModel(config, model) {
+    return { ...config, model }
+  },
+
+  // Same connector pinned to another model, so index.js can route e.g. the
+  // description operation to a cheaper model than flow generation
+  withModel(model) {
+    const source = this
+
+    return {
+      ...source,
+      getConfig() {
+        return source.applyModel(source.getConfig(), model)
+      }
+    }
+  },
+
+  // Tokens the model accepts (prompt and answer together). AI_CONTEXT_WINDOW
+  // (config.contextWindow) wins over the connector's model table
+  getContextWindow(config) {
+    return Number(config.contextWindow) || TokenBudget.contextWindowFor(
+      config.model || config.deploymentName,
+      this.contextWindows,
+      this.defaultContextWindow
+    )
+  },
+
+  estimateTokens(text) {
+    return TokenBudget.estimateTokens(text, this.charsPerToken)
+  },
+
+  extractUsage(data) {
+    return data.usage
+  },
+
+  extractMetadata() {
+    return {}
+  },
+
+  // Whether the answer stopped at the output token limit
+  isTruncated() {
+    return false
+  },
+
+  // Whether a cut-off answer can be continued in a follow-up turn. Providers
+  // that force a complete JSON document per answer (JSON mode, schemas,
+  // forced tools) cannot, and only get the larger-budget retry
+  canContinue() {
+    return false
+  },
+
+  // Shared by connectors that require a fixed list of non-empty config fields
+  validateRequired(config, required) {
+    const missing = required.filter(field => !config[field])
+
+    if (missing.length > 0) {
+      return {
+        valid: false,
+        errors: [`Missing required fields: ${missing.join(', ')}`]
+      }
+    }
+
+    return { valid: true, errors: [] }
+  },
+
+  noResponseMessage() {
+    return 'No response from server - check network connection'
+  },
+
+  // Whether the provider rejected the prompt as larger than the model's
+  // context window. Providers only say so in the message (OpenAI also sets
+  // code context_length_exceeded)
+  isContextLengthError(e) {
+    const status = e.response && e.response.status
+    const data = (e.response && e.response.data) || {}
+    const error = typeof data.error === 'string' ? { message: data.error } : data.error || {}
+    const text = `${error.code || ''} ${error.message || ''}`
+
+    return (status === 400 || status === 413)
+      && CONTEXT_LENGTH_ERROR.test(text)
+  },
+
+  // Aborted through the caller's AbortSignal (axios throws a CanceledError)
+  isCancelled(e) {
+    return e.code === 'ERR_CANCELED' || e.name === 'CanceledError' || e.name === 'AbortError'
+  },
+
+  // cancelled | rate_limited | server_error | timeout | network
+  // | context_length_exceeded | request_failed
+  classifyError(e) {
+    const status = e.response && e.response.status
+    let output = 'request_failed'
+
+    if (this.isCancelled(e)) {
+      output = 'cancelled'
+    } else if (this.isContextLengthError(e)) {
+      output = 'context_length_exceeded'
+    } else if (status === 429) {
+      output = 'rate_limited'
+    } else if (status === 408 || e.code === 'ECONNABORTED' || e.code === 'ETIMEDOUT') {
+      output = 'timeout'
+    } else if (status >= 500) {
+      output = 'server_error'
+    } else if (!e.response && e.request) {
+      output = 'network'
+    }
+
+    return output
+  },
+
+  describeError(e, config, fallback) {
+    let output = e.message || fallback
+
+    if (this.isCancelled(e)) {
+      output = 'Request cancelled'
+    } else if (e.response) {
+      const data = e.response.data || {}
+      const providerError = typeof data.error === 'string' ? data.error : data.error?.message
+
+      output = providerError || `HTTP ${e.response.status}`
+    } else if (e.request) {
+      output = this.noResponseMessage(config)
+    }
+
+    return output
+  },
+
+  // Strips a surrounding markdown code fence and parses the JSON inside. When
+  // that fails, json-repair.js gets one deterministic pass; the fixes it
+  // applied are returned in repairs
+  parseJson(content) {
+    const output = {
+      success: false,
+      parsed: {},
+      error: '',
+      repairs: []
+    }
+    let cleanContent = content.trim()
+    const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
+
+    if (codeBlockMatch) {
+      cleanContent = codeBlockMatch[1].trim()
+    }
+
+    try {
+      output.parsed = JSON.parse(cleanContent)
+      output.success = true
+    } catch (parseError) {
+      const repaired = JsonRepair.repair(content)
+
+      if (repaired.success) {
+        output.parsed = repaired.value
+        output.success = true
+        output.repairs = repaired.fixes
+      } else {
+        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
+      }
+    }
+
+    return output
+  },
+
+  /*
+    A failed streamed request carries its error body as a stream. Reads and
+    parses it in place, so classifyError and describeError see the provider's
+    error as they do for a normal request (a body that is not JSON becomes
+    { error: text })
+  */
+  async readErrorBody(e) {
+    const data = e.response && e.response.data
+
+    if (!data || typeof data[Symbol.asyncIterator] !== 'function') {
+      return
+    }
+
+    const decoder = new StringDecoder('utf8')
+    let text = ''
+
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const piece of data) {
+        text += typeof piece === 'string' ? piece : decoder.write(piece)
+      }
+
+      text = (text + decoder.end()).trim()
+      e.response.data = JSON.parse(text)
+    } catch (parseError) {
+      e.response.data = text ? { error: text } : {}
+    }
+  },
+
+  // POST with the shared retry policy. call is per complete(): call.signal
+  // aborts the request, call.retries counts the retries made
+  async post(url, body, options, call = {}) {
+    const request = async () => {
+      try {
+        return await axios.post(url, body, {
+          headers: options.headers,
+          timeout: Number(getEnv('AI_REQUEST_TIMEOUT_MS', DEFAULT_REQUEST_TIMEOUT_MS)),
+          responseType: options.responseType,
+          signal: call.signal
+        })
+      } catch (e) {
+        await this.readErrorBody(e)
+
+        throw e
+      }
+    }
+
+    return RetryPolicy.run(request, {
+      classify: e => this.classifyError(e),
+      signal: call.signal,
+      onRetry: () => {
+        call.retries = (call.retries || 0) + 1
+      }
+    })
+  },
+
+  async send(config, body, call) {
+    return this.post(this.getEndpoint(config), body, { headers: this.getHeaders(config) }, call)
+  },
+
+  supportsStreaming() {
+    return typeof this.extractStreamText === 'function'
+  },
+
+  getStreamEndpoint(config) {
+    return this.getEndpoint(config)
+  },
+
+  buildStreamRequestBody(config, request) {
+    return { ...this.buildRequestBody(config, request), stream: true }
+  },
+
+  /*
+    Reads a streamed answer line by line, calling onText(delta, contentSoFar)
+    for every text delta. Resolves with { content, data } where data is all
+    chunks shallow-merged, so the usage and stop reason that providers send
+    in their final chunk are still seen by extractUsage/extractMetadata.
+  */
+  async sendStream(config, body, onText, call) {
+    // only opening the stream is retried - once text has been passed to
+    // onText a retry would repeat it
+    const response = await this.post(this.getStreamEndpoint(config), body, {
+      headers: this.getHeaders(config),
+      responseType: 'stream'
+    }, call)
+    const decoder = new StringDecoder('utf8')
+    const output = { content: '', data: {} }
+    let buffer = ''
+
+    const readLine = line => {
+      const payload = line.trim().replace(/^data:\s*/, '')
+      let chunk = null
+
+      // SSE event names, comments and the OpenAI [DONE] marker carry no JSON
+      if (!payload || payload === '[DONE]' || /^(event|id|retry)?:/.test(payload)) {
+        return
+      }
+
+      try {
+        chunk = JSON.parse(payload)
+      } catch (e) {
+        return
+      }
+
+      const text = this.extractStreamText(chunk)
+
+      output.data = { ...output.data, ...chunk }
+
+      if (text) {
+        output.content += text
+        onText(text, output.content)
+      }
+    }
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const piece of response.data) {
+      const lines = (buffer + decoder.write(piece)).split('\n')
+
+      buffer = lines.pop()
+      lines.forEach(readLine)
+    }
+
+    readLine(buffer + decoder.end())
+
+    return output
+  },
+
+  // One provider round trip. Resolves with { content, data, truncated }
+  async ask(config, request, onText, call) {
+    const response = typeof onText === 'function'
+      ? await this.sendStream(config, this.buildStreamRequestBody(config, request), onText, call)
+      : await this.send(config, this.buildRequestBody(config, request), call)
+    const content = typeof onText === 'function' ? response.content : this.extractText(response.data)
+
+    return { content, data: response.data, truncated: this.isTruncated(response.data) }
+  },
+
+  /*
+    Runs one prompt through the provider and parses the JSON answer. Streams
+    when options.onText is given and the provider supports it; aborting
+    options.signal (an AbortSignal) cancels the provider request.
+    options.history messages are sent ahead of the user prompt, and
+    options.temperature replaces the operation's default temperature
+    (metadata.temperature, when the provider sends it).
+
+    An answer cut off by the output token limit is retried with double the
+    budget up to AI_MAX_TOKENS_CEILING; providers that can (canContinue) are
+    then asked to continue where they stopped, up to AI_MAX_CONTINUATIONS
+    times. A still truncated answer fails with errorCode response_truncated -
+    it is never handed to JSON repair, which would close it as a partial flow.
+    With config.structuredOutput the parsed answer must match the operation's
+    schema (ResponseSchemas.validate), else it fails with errorCode
+    schema_mismatch.
+    Returns { success, parsed, metadata, error, errorCode }
+  */
+  async complete(config, operation, systemPrompt, userPrompt, options = {}) {
+    const defaults = OPERATIONS[operation]
+    const onText = typeof options.onText === 'function' && this.supportsStreaming()
+      ? options.onText
+      : null
+    const ceiling = Number(getEnv('AI_MAX_TOKENS_CEILING', DEFAULT_MAX_TOKENS_CEILING))
+    const maxContinuations = Number(getEnv('AI_MAX_CONTINUATIONS', DEFAULT_MAX_CONTINUATIONS))
+    const output = {
+      success: false,
+      parsed: {},
+      metadata: {},
+      error: '',
+      errorCode: ''
+    }
+    const truncation = { retries: 0, continuations: 0 }
+    const call = { retries: 0, signal: options.signal }
+    const messages = (options.history || []).concat({ role: 'user', content: userPrompt })
+    let budget = Number(config.maxCompletionTokens || config.maxTokens || defaults.maxTokens)
+    let callConfig = config
+
+    const request = (maxTokens, turns) => ({
+      operation,
+      systemPrompt,
+      messages: turns,
+      temperature: typeof options.temperature === 'number'
+        ? options.temperature
+        : defaults.temperature,
+      maxTokens
+    })
+
+    try {
+      let response = await this.ask(callConfig, request(budget, messages), onText, call)
+
+      while (response.truncated && budget < ceiling) {
+        budget = Math.min(budget * 2, ceiling)
+        callConfig = { ...config, maxCompletionTokens: budget, maxTokens: budget }
+        truncation.retries += 1
+        // eslint-disable-next-line no-await-in-loop
+        response = await this.ask(callConfig, request(budget, messages), onText, call)
+      }
+
+      while (response.truncated && this.canContinue(config)
+        && truncation.continuations < maxContinuations) {
+        const previous = response.content
+        const turns = messages.concat(
+          { role: 'assistant', content: previous },
+          { role: 'user', content: ConnectorUtils.CONTINUATION_PROMPT }
+        )
+
+        truncation.continuations += 1
+        // eslint-disable-next-line no-await-in-loop
+        response = await this.ask(
+          callConfig,
+          request(budget, turns),
+          onText && ((text, soFar) => onText(text, previous + soFar)),
+          call
+        )
+        response.content = previous + response.content
+      }
+
+      if (truncation.retries > 0 || truncation.continuations > 0) {
+        output.metadata.truncation = { ...truncation, maxTokens: budget }
+      }
+
+      if (response.truncated) {
+        output.error = `AI response was truncated at ${budget} output tokens`
+        output.errorCode = 'response_truncated'
+      } else if (!response.content) {
+        output.error = operation === 'description' ? 'No description in response' : 'No content in response'
+        output.errorCode = 'empty_response'
+      } else {
+        const result = this.parseJson(response.content)
+        const problems = result.success && config.structuredOutput
+          ? ResponseSchemas.validate(operation, result.parsed)
+          : []
+
+        output.success = result.success
+        output.parsed = result.parsed
+        output.error = result.error
+        output.errorCode = result.success ? '' : 'invalid_json'
+
+        if (problems.length > 0) {
+          output.success = false
+          output.error = `AI response does not match the ${operation} schema: ${problems.slice(0, 3).join('; ')}`
+          output.errorCode = 'schema_mismatch'
+        }
+        output.metadata = {
+          usage: this.extractUsage(response.data),
+          model: response.data.model || config.model || config.deploymentName,
+          ...this.extractMetadata(response.data, config),
+          ...output.metadata
+        }
+
+        if (onText) {
+          output.metadata.streamed = true
+        }
+
+        if (result.repairs.length > 0) {
+          output.metadata.jsonRepair = result.repairs
+        }
+      }
+    } catch (e) {
+      output.error = this.describeError(e, config, defaults.failure)
+      output.errorCode = this.classifyError(e)
+    }
+
+    if (call.retries > 0) {
+      output.metadata.retries = call.retries
+    }
+
+    if (typeof options.temperature === 'number' && this.sendsTemperature) {
+      output.metadata.temperature = options.temperature
+    }
+
+    return output
+  },
+
+  /*
+    complete() through response-cache.js, for operations whose answer only
+    depends on the prompt. accept(parsed) keeps answers the caller will reject
+    out of the cache. metadata.cache is { hit, ageMs } while the cache is on.
+    options are passed on to complete().
+  */
+  async completeCached(
+    config,
+    operation,
+    systemPrompt,
+    userPrompt,
+    accept = () => true,
+    options = {}
+  ) {
+    const model = config.model || config.deploymentName
+    const key = ResponseCache.key({
+      connector: this.name,
+      model,
+      operation,
+      temperature: typeof options.temperature === 'number'
+        ? options.temperature
+        : OPERATIONS[operation].temperature,
+      structuredOutput: config.structuredOutput,
+      systemPrompt,
+      userPrompt
+    })
+    const cached = ResponseCache.get(key)
+    let output = null
+
+    if (cached) {
+      output = {
+        success: true,
+        parsed: cached.value.parsed,
+        metadata: { model: cached.value.model, cache: { hit: true, ageMs: cached.ageMs } },
+        error: '',
+        errorCode: ''
+      }
+    } else {
+      output = await this.complete(config, operation, systemPrompt, userPrompt, options)
+
+      if (ResponseCache.enabled()) {
+        output.metadata.cache = { hit: false }
+
+        if (output.success && accept(output.parsed)) {
+          ResponseCache.set(key, { parsed: output.parsed, model: output.metadata.model || model })
+        }
+      }
+    }
+
+    return output
+  },
+
+  /*
+    Builds the flow prompts within the model's context window: the system
+    prompt and the user's request are fixed, the custom node catalogue and
+    the existing flow are fitted to what remains after the reserved output
+    tokens (token-budget.js). AI_MAX_FLOW_CONTEXT_CHARS, when set, still caps
+    the flow context. history is the earlier turns of a conversation as
+    user/assistant messages; the newest that fit are kept. Returns
+    { systemPrompt, userPrompt, history, tokenBudget } with the estimated
+    tokens per section.
+  */
+  assembleFlowPrompts(prompt, context, config, flowShare = 1, history = []) {
+    const nodes = (context && context.nodes) || []
+    const catalogue = (context && context.customNodes) || []
+    const contextWindow = this.getContextWindow(config)
+    const outputTokens = Number(config.maxCompletionTokens || config.maxTokens
+      || OPERATIONS.flow.maxTokens)
+    const system = this.estimateTokens(this.buildSystemPrompt({ ...context, customNodes: [] }))
+    const fixedPrompt = this.estimateTokens(ConnectorUtils.renderUserPrompt(prompt, context, ''))
+    const fixed = {
+      contextWindow,
+      outputTokens,
+      system,
+      prompt: fixedPrompt,
+      flowShare
+    }
+    const turns = TokenBudget.fitHistory(
+      history,
+      TokenBudget.allocate(fixed).history,
+      this.charsPerToken
+    )
+    const historyTokens = turns
+      .reduce((sum, message) => sum + this.estimateTokens(message.content), 0)
+    const allowance = TokenBudget.allocate({ ...fixed, historyTokens })
+    const customNodes = TokenBudget.fitCatalogue(catalogue, allowance.customNodes, {
+      relevant: ConnectorUtils.customNodeFilter(prompt, nodes),
+      charsPerToken: this.charsPerToken
+    })
+    const flowChars = Math.floor(allowance.flowContext * this.charsPerToken)
+    const maxFlowContextChars = Math.min(flowChars, Number(config.maxFlowContextChars) || Infinity)
+    const assembled = catalogue.length > 0 ? { ...context, customNodes } : context
+    const existingFlow = nodes.length > 0
+      ? ConnectorUtils.serializeFlowContext(nodes, maxFlowContextChars, prompt)
+      : ''
+    const systemPrompt = this.buildSystemPrompt(assembled)
+    const userPrompt = ConnectorUtils.renderUserPrompt(prompt, assembled, existingFlow)
+    const sections = {
+      system,
+      history: historyTokens,
+      customNodes: this.estimateTokens(systemPrompt) - system,
+      flowContext: this.estimateTokens(existingFlow),
+      prompt: this.estimateTokens(userPrompt) - this.estimateTokens(existingFlow)
+    }
+
+    return {
+      systemPrompt,
+      userPrompt,
+      history: turns,
+      tokenBudget: {
+        contextWindow,
+        reservedOutput: outputTokens,
+        available: allowance.available,
+        sections,
+        total: Object.values(sections).reduce((sum, value) => sum + value, 0),
+        customNodesKept: customNodes.length,
+        customNodesTotal: catalogue.length,
+        historyTurnsKept: turns.length / 2,
+        historyTurnsTotal: Math.floor(history.length / 2)
+      }
+    }
+  },
+
+  /*
+    options.onProgress({ nodeCount, flowName, chars }) is called while a
+    streamed answer arrives, whenever the node count or flow name changes.
+    options.signal cancels the provider request (errorCode cancelled).
+    options.history holds the earlier turns of a conversation as
+    [{ role: 'user' | 'assistant', content }], sent ahead of the new prompt.
+    options.temperature overrides the operation's default (best-of-N candidates).
+
+    With context.maxQuestions > 0 the model may answer an ambiguous prompt
+    with clarifying questions instead of a flow; they are returned in
+    questions ([{ id, question, choices?, default? }]) next to an empty flow.
+
+    A stage of a hierarchical build (context.stage, the prompt rendered by
+    ConnectorUtils.renderStagePrompt) also returns the interface the model
+    reported: interface { input, output, outputPort, msg }.
+
+    With context.outputMode 'patch' and an existing flow in context.nodes,
+    the model answers with patch operations instead of the whole flow. They
+    are checked and applied by flow-patch.js: flow is the patched flow and
+    patch the operations. A patch that does not fit the flow is discarded and
+    the whole flow requested instead, within the context the patch was asked
+    with (metadata.patchRejected lists why). Clarifying questions are
+    returned as in flow mode.
+
+    When the provider rejects the prompt as larger than the model's context
+    window (the token estimate was off), the prompt is assembled once more
+    with half the flow context allowance and only the relevant custom nodes
+    (ConnectorUtils.reduceContext); metadata.contextReduced says what was cut.
+  */
+  async generateFlow(prompt, context, configOverride, options = {}) {
+    const config = configOverride || this.getConfig()
+    const output = {
+      success: false,
+      flow: [],
+      error: '',
+      metadata: {}
+    }
+    const completeOptions = { signal: options.signal, temperature: options.temperature }
+    let lastPreview = ''
+
+    if (typeof options.onProgress === 'function') {
+      completeOptions.onText = (text, content) => {
+        const preview = ConnectorUtils.previewFlow(content)
+        const key = `${preview.nodeCount}|${preview.flowName}`
+
+        if (key !== lastPreview) {
+          lastPreview = key
+          options.onProgress({ ...preview, chars: content.length })
+        }
+      }
+    }
+
+    const run = async (runContext, flowShare) => {
+      const assembly = this.assembleFlowPrompts(
+        prompt,
+        runContext,
+        config,
+        flowShare,
+        options.history || []
+      )
+      const runResult = await this.complete(
+        config,
+        ConnectorUtils.isPatchMode(runContext) ? 'patch' : 'flow',
+        assembly.systemPrompt,
+        assembly.userPrompt,
+        { ...completeOptions, history: assembly.history }
+      )
+
+      runResult.metadata = { ...runResult.metadata, tokenBudget: assembly.tokenBudget }
+
+      return runResult
+    }
+    // The context and flow share of the last run, reduced after an overflow
+    let runContext = context
+    let flowShare = 1
+    let result = await run(runContext, flowShare)
+    let contextReduced = null
+
+    if (result.errorCode === 'context_length_exceeded' && context
+      && ((context.nodes || []).length > 0 || (context.customNodes || []).length > 0)) {
+      const reduced = ConnectorUtils.reduceContext(prompt, context)
+
+      runContext = reduced.context
+      flowShare = 0.5
+      result = await run(runContext, flowShare)
+      contextReduced = {
+        flowContextTokens: result.metadata.tokenBudget.sections.flowContext,
+        customNodes: reduced.customNodes
+      }
+      result.metadata = { ...result.metadata, contextReduced }
+
+      if (result.errorCode === 'context_length_exceeded') {
+        result.error = `Prompt exceeds the model's context window even with reduced flow context: ${result.error}`
+      }
+    }
+
+    // A model that answers the whole flow in patch mode is taken at its word,
+    // one that asks clarifying questions is asked them. A rejected patch is
+    // followed by the whole flow, within the context the patch was sent with
+    const maxQuestions = (context && context.maxQuestions) || 0
+    const asked = result.success
+      && ConnectorUtils.normalizeQuestions(result.parsed.questions, maxQuestions).length > 0
+    let patched = null
+
+    if (result.success && ConnectorUtils.isPatchMode(context) && !asked
+      && !Array.isArray(result.parsed.flow)) {
+      patched = FlowPatch.apply(context.nodes, result.parsed.patch)
+
+      if (!patched.valid) {
+        const rejected = patched.errors
+
+        patched = null
+        result = await run({ ...runContext, outputMode: 'flow' }, flowShare)
+        result.metadata = {
+          ...result.metadata,
+          ...(contextReduced ? { contextReduced } : {}),
+          patchRejected: rejected
+        }
+      }
+    }
+
+    output.metadata = result.metadata
+
+    if (result.success) {
+      const questions = ConnectorUtils.normalizeQuestions(result.parsed.questions, maxQuestions)
+
+      output.success = true
+      output.flow = patched ? patched.flow : result.parsed.flow || []
+      output.flowName = result.parsed.flowName || ''
+
+      if (patched) {
+        output.patch = patched.operations
+      }
+
+      if (context && context.stage) {
+        output.interface = ConnectorUtils.normalizeInterface(result.parsed.interface)
+      }
+
+      if (questions.length > 0 && output.flow.length === 0) {
+        output.questions = questions
+      }
+    } else {
+      output.error = result.error
+      output.errorCode = result.errorCode
+    }
+
+    return output
+  },
+
+  /*
+    A plan for the flow instead of the flow: { title, summary, stages:
+    [{ name, description, nodeTypes }], externalSystems: [{ name, purpose }],
+    configNodes: [{ type, purpose }] }. The user edits and approves it in the
+    sidebar, and /ai/build-flow builds the approved plan (ConnectorUtils.withPlan).
+  */
+  async planFlow(prompt, context, configOverride, options = {}) {
+    const config = configOverride || this.getConfig()
+    const output = {
+      success: false,
+      plan: null,
+      error: '',
+      metadata: {}
+    }
+    const result = await this.complete(
+      config,
+      'plan',
+      this.buildSystemPrompt(context, 'plan'),
+      ConnectorUtils.renderPlanPrompt(prompt, context),
+      { signal: options.signal }
+    )
+    const plan = result.success ? ConnectorUtils.normalizePlan(result.parsed) : null
+
+    output.metadata = result.metadata
+
+    if (!result.success) {
+      output.error = result.error
+      output.errorCode = result.errorCode
+    } else if (!plan) {
+      output.error = `AI response is not a flow plan. Got: ${JSON.stringify(result.parsed).substring(0, 200)}`
+      output.errorCode = 'invalid_response'
+    } else {
+      output.success = true
+      output.plan = plan
+    }
+
+    return output
   },
-  async resyncNode() {
-    throw new Error('resyncNode() must be implemented by connector')
+
+  async resyncNode(
+    nodeId,
+    nodeType,
+    info,
+    currentConfig,
+    configOverride,
+    nodeName = '',
+    options = {}
+  ) {
+    const config = configOverride || this.getConfig()
+    const output = {
+      success: false,
+      updatedNode: null,
+      error: '',
+      metadata: {}
+    }
+    const systemPrompt = this.buildSystemPrompt(currentConfig, 'node')
+    const prompt = this.setPlaceholders(ConnectorUtils.NODE_SEMANTIC_UPDATE_PROMPT, {
+      CUSTOM_NODES: ConnectorUtils.CUSTOM_NODES,
+      customNodes: JSON.stringify((currentConfig && currentConfig.customNodes) || []),
+      nodeType,
+      nodeId,
+      nodeName: nodeName || '',
+      info,
+      currentConfig: JSON.stringify(currentConfig, null, 2)
+    })
+    const result = await this.completeCached(config, 'node', systemPrompt, prompt, undefined, options)
+
+    output.metadata = result.metadata
+
+    if (result.success) {
+      output.success = true
+      output.updatedNode = result.parsed
+    } else {
+      output.error = result.error
+      output.errorCode = result.errorCode
+    }
+
+    return output
   },
-  buildSystemPrompt() {
-    throw new Error('buildSystemPrompt() must be implemented by connector')
+
+  async generateDescription(
+    nodeId,
+    nodeType,
+    currentConfig,
+    configOverride,
+    nodeName = '',
+    options = {}
+  ) {
+    const config = configOverride || this.getConfig()
+    const output = {
+      success: false,
+      name: '',
+      description: '',
+      error: '',
+      metadata: {}
+    }
+    const systemPrompt = this.buildSystemPrompt(currentConfig, 'node')
+    const prompt = this.setPlaceholders(ConnectorUtils.DESCRIPTION_GENERATION_PROMPT, {
+      nodeType,
+      nodeId,
+      nodeName: nodeName || '',
+      currentConfig: JSON.stringify(currentConfig, null, 2)
+    })
+    const isComplete = answer => typeof answer.name === 'string'
+      && typeof answer.description === 'string'
+      && !!answer.name.trim() && !!answer.description.trim()
+    const result = await this.completeCached(
+      config,
+      'description',
+      systemPrompt,
+      prompt,
+      isComplete,
+      options
+    )
+    const { parsed } = result
+
+    output.metadata = result.metadata
+
+    if (!result.success) {
+      output.error = result.error
+      output.errorCode = result.errorCode
+    } else if (!isComplete(parsed)) {
+      output.error = `AI response missing name or description. Got: ${JSON.stringify(parsed).substring(0, 200)}`
+      output.errorCode = 'invalid_response'
+    } else {
+      output.success = true
+      output.name = parsed.name.trim()
+      output.description = parsed.description.trim()
+    }
+
+    return output
+  },
+
+  setPlaceholders(prompt, values) {
+    return ConnectorUtils.setPlaceholders(prompt, values)
   },
-  buildUserPrompt() {
-    throw new Error('buildUserPrompt() must be implemented by connector')
+
+  buildSystemPrompt(context, type = 'flow') {
+    return ConnectorUtils.buildSystemPrompt(context || {}, type)
+  },
+
+  buildUserPrompt(prompt, context, maxFlowContextChars) {
+    return ConnectorUtils.buildUserPrompt(
+      prompt,
+      context,
+      Number(maxFlowContextChars || this.getConfig().maxFlowContextChars) || undefined
+    )
+  },
+
+  // connector-config-aware so AI_MAX_FLOW_CONTEXT_CHARS applies by default
+  serializeFlowContext(nodes, maxFlowContextChars, prompt) {
+    return ConnectorUtils.serializeFlowContext(
+      nodes || [],
+      Number(maxFlowContextChars || this.getConfig().maxFlowContextChars) || undefined,
+      prompt
+    )
   }
 }
 
@@ -0,0 +1,178 @@
+// Ordered connector failover
+//
+// Wraps one or more connectors behind the BaseConnector contract. Each call
+// goes to the first connector; when it fails with an outage-class error
+// (HTTP 5xx, timeout, rate limit, unreachable) the same call is retried on
+// the next connector. Other failures (bad request, invalid JSON) are returned
+// as-is - another provider would not fix them and would double the cost.
+// A cancelled call (the caller's AbortSignal fired) is not retried either.
+// Members without an optional method (planFlow) are skipped for that call.
+//
+// Results carry metadata.connector (who served the call) and, when failover
+// happened, metadata.failover: [{ connector, errorCode, error }].
+//
+// validateConfig also returns the check of each member it reached in
+// members. Passing those back as options.validations lets the calls of a
+// request reuse them instead of checking the members again: a member the
+// check did not reach is validated when a call first fails over to it, and
+// its check is added to the list for the next call.
+
+const FAILOVER_CODES = new Set(['server_error', 'timeout', 'rate_limited', 'network'])
+
+// options without the chain's validations, which members do not take
+const memberOptions = options => {
+  if (!options) {
+    return options
+  }
+
+  const { validations, ...rest } = options
+
+  return rest
+}
+
+const ConnectorChain = {
+  FAILOVER_CODES,
+
+  shouldFailover(result) {
+    return !!(result && !result.success && FAILOVER_CODES.has(result.errorCode))
+  },
+
+  create(connectors) {
+    const members = connectors.filter(Boolean)
+
+    const chain = {
+      name: members.map(member => member.name).join(','),
+      members,
+
+      getConfig() {
+        return {
+          members: members.map(member => ({ name: member.name, config: member.getConfig() }))
+        }
+      },
+
+      // The chain is usable as soon as one member is. Members are checked in
+      // order and the check stops there, so an unreachable fallback (ollama
+      // probes the server) does not slow down every request
+      async validateConfig(config) {
+        const output = { valid: false, errors: [], members: [] }
+        const entries = (config && config.members) || []
+
+        for (let i = 0; i < members.length && !output.valid; i += 1) {
+          const member = members[i]
+          // eslint-disable-next-line no-await-in-loop
+          const result = await member.validateConfig(
+            entries[i] ? entries[i].config : member.getConfig()
+          )
+
+          output.members[i] = result
+
+          if (result.valid) {
+            output.valid = true
+            output.errors = []
+          } else {
+            output.errors.push(`${member.name}: ${result.errors.join(', ')}`)
+          }
+        }
+
+        return output
+      },
+
+      // validations: the members' checks from validateConfig, by position
+      async run(method, args, validations = []) {
+        const failover = []
+        let output = { success: false, error: 'No AI connector available', metadata: {} }
+
+        for (let i = 0; i < members.length; i += 1) {
+          const member = members[i]
+          const supported = typeof member[method] === 'function'
+          if (supported && !validations[i]) {
+            // eslint-disable-next-line no-await-in-loop
+            validations[i] = await member.validateConfig(member.getConfig())
+          }
+
+          const validation = supported ? validations[i] : null
+
+          if (!supported) {
+            failover.push({
+              connector: member.name,
+              errorCode: 'unsupported',
+              error: `${method} is not supported`
+            })
+            output.error = `No AI connector supports ${method}`
+            output.errorCode = 'unsupported'
+          } else if (!validation.valid) {
+            failover.push({
+              connector: member.name,
+              errorCode: 'not_configured',
+              error: validation.errors.join(', ')
+            })
+          } else {
+            // eslint-disable-next-line no-await-in-loop
+            output = await member[method](...args)
+            output.metadata = { ...(output.metadata || {}), connector: member.name }
+
+            if (i === members.length - 1 || !ConnectorChain.shouldFailover(output)) {
+              break
+            }
+
+            failover.push({
+              connector: member.name,
+              errorCode: output.errorCode,
+              error: output.error
+            })
+          }
+        }
+
+        if (failover.length > 0) {
+          output.metadata = { ...(output.metadata || {}), failover }
+        }
+
+        return output
+      },
+
+      // Third-party members may not stream; they still answer, just without
+      // progress
+      supportsStreaming() {
+        return members.some(member => typeof member.supportsStreaming === 'function'
+          && member.supportsStreaming())
+      },
+
+      // configOverride is member-specific, so each member resolves its own config
+      generateFlow(prompt, context, configOverride, options) {
+        return this.run(
+          'generateFlow',
+          [prompt, context, undefined, memberOptions(options)],
+          options && options.validations
+        )
+      },
+
+      planFlow(prompt, context, configOverride, options) {
+        return this.run(
+          'planFlow',
+          [prompt, context, undefined, memberOptions(options)],
+          options && options.validations
+        )
+      },
+
+      resyncNode(nodeId, nodeType, info, currentConfig, configOverride, nodeName, options) {
+        return this.run(
+          'resyncNode',
+          [nodeId, nodeType, info, currentConfig, false, nodeName, memberOptions(options)],
+          options && options.validations
+        )
+      },
+
+      generateDescription(nodeId, nodeType, currentConfig, configOverride, nodeName, options) {
+        return this.run(
+          'generateDescription',
+          [nodeId, nodeType, currentConfig, false, nodeName, memberOptions(options)],
+          options && options.validations
+        )
+      }
+    }
+
+    return chain
+  }
+}
+
+module.exports = ConnectorChain
@@ -0,0 +1,126 @@
+// Connector loading for built-in and third-party AI connectors
+//
+// AI_CONNECTOR names either a built-in connector (resources/ai-connectors/
+// <name>-connector-node.js), an npm module, or a path. settings.js can also map
+// names to modules (or connector objects) under semanticFlowLanguage.connectors:
+//
+//   semanticFlowLanguage: {
+//     connectors: { 'my-gateway': 'sfl-connector-my-gateway' }
+//   }
+//
+// npm modules and relative paths resolve against the Node-RED user directory
+// first, so a connector installed next to Node-RED is found without forking.
+// A connector without a name is named after what AI_CONNECTOR called it (the
+// registry key or module specifier), which metadata.connector and failover
+// report.
+const fs = require('fs')
+const path = require('path')
+const getEnv = require('../config-loader')
+
+const REQUIRED_METHODS = [
+  'getConfig',
+  'validateConfig',
+  'generateFlow',
+  'resyncNode',
+  'generateDescription'
+]
+
+const ConnectorLoader = {
+  REQUIRED_METHODS,
+
+  getRegistry() {
+    const settings = getEnv('semanticFlowLanguage', {})
+    const connectors = settings && settings.connectors
+
+    return connectors && typeof connectors === 'object' ? connectors : {}
+  },
+
+  // Built-in names are plain slugs; anything else is never joined onto __dirname
+  builtinPath(name) {
+    let output = ''
+
+    if (/^[a-z0-9-]+$/i.test(name)) {
+      const candidate = path.join(__dirname, `${name}-connector-node.js`)
+
+      if (fs.existsSync(candidate)) {
+        output = candidate
+      }
+    }
+
+    return output
+  },
+
+  resolveModulePath(specifier, userDir) {
+    const builtin = this.builtinPath(specifier)
+    let output = builtin
+
+    if (!builtin) {
+      if (path.isAbsolute(specifier)) {
+        output = specifier
+      } else if (specifier.startsWith('.')) {
+        output = path.resolve(userDir || process.cwd(), specifier)
+      } else {
+        output = require.resolve(specifier, {
+          paths: [userDir, process.cwd(), __dirname].filter(Boolean)
+        })
+      }
+    }
+
+    return output
+  },
+
+  validateContract(connector, name) {
+    const output = { valid: false, errors: [] }
+
+    if (!connector || typeof connector !== 'object') {
+      output.errors.push(`Connector "${name}" must export an object implementing the BaseConnector contract`)
+
+      return output
+    }
+
+    const missing = REQUIRED_METHODS.filter(method => typeof connector[method] !== 'function')
+
+    if (missing.length > 0) {
+      output.errors.push(`Connector "${name}" is missing required method(s): ${missing.join(', ')}`)
+    } else {
+      output.valid = true
+    }
+
+    return output
+  },
+
+  // Returns { connector, error } - connector is omitted when loading fails
+  load(name, userDir) {
+    const output = { error: '' }
+    const entry = this.getRegistry()[name]
+    let candidate
+
+    try {
+      if (entry && typeof entry === 'object') {
+        candidate = entry
+      } else {
+        const modulePath = this.resolveModulePath(typeof entry === 'string' ? entry : name, userDir)
+        // eslint-disable-next-line import/no-dynamic-require, global-require
+        const mod = require(modulePath)
+
+        candidate = mod && mod.default ? mod.default : mod
+      }
+
+      const contract = this.validateContract(candidate, name)
+
+      if (contract.valid) {
+        output.connector = typeof candidate.name === 'string' && candidate.name
+          ? candidate
+          : { ...candidate, name }
+      } else {
+        output.error = contract.errors.join('; ')
+      }
+    } catch (e) {
+      output.error = `Failed to load connector "${name}": ${e.message}`
+    }
+
+    return output
+  }
+}
+
+module.exports = ConnectorLoader
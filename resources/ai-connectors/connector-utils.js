@@ -1,26 +1,46 @@
 // Shared utilities for AI connectors
 const getEnv = require('../config-loader')
+const FlowContext = require('./flow-context')
 
 const buildPrompts = (template, val = '') => `${getEnv(`${template}_PREPEND`, val)}${getEnv(template, val)}${getEnv(`${template}_APPEND`, val)}`
 
 const CUSTOM_NODES = buildPrompts('CUSTOM_NODES')
 const USER_PROMPT_TEMPLATE = buildPrompts('USER_PROMPT_TEMPLATE')
 const USER_PROMPT_WITH_CONTEXT = buildPrompts('USER_PROMPT_WITH_CONTEXT')
+const USER_PROMPT_PATCH = buildPrompts('USER_PROMPT_PATCH')
 const NODE_SEMANTIC_UPDATE_PROMPT = buildPrompts('NODE_SEMANTIC_UPDATE_PROMPT')
 const DESCRIPTION_GENERATION_PROMPT = buildPrompts('DESCRIPTION_GENERATION_PROMPT')
 const SYSTEM_PROMPT = buildPrompts('SYSTEM_PROMPT')
 const SYSTEM_PROMPT_FLOW = buildPrompts('SYSTEM_PROMPT_FLOW')
 const SYSTEM_PROMPT_NODE = buildPrompts('SYSTEM_PROMPT_NODE')
+const SYSTEM_PROMPT_PLAN = buildPrompts('SYSTEM_PROMPT_PLAN')
+const CONTINUATION_PROMPT = buildPrompts('CONTINUATION_PROMPT')
+const CLARIFYING_QUESTIONS_PROMPT = buildPrompts('CLARIFYING_QUESTIONS_PROMPT')
+const CLARIFICATION_ANSWERS_PROMPT = buildPrompts('CLARIFICATION_ANSWERS_PROMPT')
+const PLAN_FLOW_PROMPT = buildPrompts('PLAN_FLOW_PROMPT')
+const PLAN_BUILD_PROMPT = buildPrompts('PLAN_BUILD_PROMPT')
+const STAGE_PROMPT = buildPrompts('STAGE_PROMPT')
+
+// Trimmed string, or '' for anything else
+const trimmed = value => (typeof value === 'string' ? value.trim() : '')
 
 const ConnectorUtils = {
   CUSTOM_NODES,
   USER_PROMPT_TEMPLATE,
   USER_PROMPT_WITH_CONTEXT,
+  USER_PROMPT_PATCH,
   NODE_SEMANTIC_UPDATE_PROMPT,
   DESCRIPTION_GENERATION_PROMPT,
   SYSTEM_PROMPT,
   SYSTEM_PROMPT_FLOW,
   SYSTEM_PROMPT_NODE,
+  SYSTEM_PROMPT_PLAN,
+  CONTINUATION_PROMPT,
+  CLARIFYING_QUESTIONS_PROMPT,
+  CLARIFICATION_ANSWERS_PROMPT,
+  PLAN_FLOW_PROMPT,
+  PLAN_BUILD_PROMPT,
+  STAGE_PROMPT,
 
   setPlaceholders(prompt, values) {
     let result = prompt
@@ -33,30 +53,48 @@ const ConnectorUtils = {
     return result
   },
 
-  serializeFlowContext(nodes = [], maxFlowContextChars = 18000) {
+  // Flows over the budget are pruned by flow-context.js: the nodes relevant to
+  // the prompt stay in full, the rest become stubs that keep the wiring
+  serializeFlowContext(nodes = [], maxFlowContextChars = 18000, prompt = '') {
     const json = JSON.stringify(nodes, null, 2)
 
     if (json.length <= maxFlowContextChars) {
       return json
     }
 
-    // crude but effective: scale node count down to fit roughly in the limit
-    const ratio = maxFlowContextChars / json.length
-    const keepCount = Math.max(1, Math.floor(nodes.length * ratio))
+    const pruned = FlowContext.prune(nodes, prompt, maxFlowContextChars)
+    const omitted = pruned.omitted > 0 ? `, ${pruned.omitted} distant nodes omitted` : ''
 
-    const trimmed = nodes.slice(0, keepCount)
+    // a small notice so the model knows what it is looking at
+    return `${JSON.stringify(pruned.nodes, null, 2)}\n\n/* NOTE: Flow truncated for context. Editor positions (x/y) removed. ${pruned.full} of ${nodes.length} nodes shown in full, ${pruned.stubs} as stubs with only id, type, name and wires${omitted}. Keep the wiring and settings of nodes you do not change. */`
+  },
 
-    const trimmedJson = JSON.stringify(trimmed, null, 2)
+  buildUserPrompt(prompt, context, maxFlowContextChars = 18000) {
+    const existingFlow = context && context.nodes && context.nodes.length > 0
+      ? this.serializeFlowContext(context.nodes, maxFlowContextChars, prompt)
+      : ''
 
-    // add a small notice so the model knows it's partial
-    return `${trimmedJson}\n\n/* NOTE: Flow truncated for context. Showing ${keepCount} of ${nodes.length} nodes. Preserve structure of unseen nodes. */`
+    return this.renderUserPrompt(prompt, context, existingFlow)
   },
 
-  buildUserPrompt(prompt, context, maxFlowContextChars = 18000) {
+  // Whether a flow answer should be patch operations (flow-patch.js) rather
+  // than the whole flow: only when there is an existing flow to patch
+  isPatchMode(context) {
+    return !!context && context.outputMode === 'patch'
+      && Array.isArray(context.nodes) && context.nodes.length > 0
+  },
+
+  // User prompt around an already serialized flow context. A stage of a
+  // hierarchical build (context.stage) is a complete prompt of its own
+  renderUserPrompt(prompt, context, existingFlow) {
+    if (context && context.stage) {
+      return prompt
+    }
+
     if (context && context.nodes && context.nodes.length > 0) {
-      const existingFlow = this.serializeFlowContext(context.nodes, maxFlowContextChars)
+      const template = this.isPatchMode(context) ? USER_PROMPT_PATCH : USER_PROMPT_WITH_CONTEXT
 
-      return this.setPlaceholders(USER_PROMPT_WITH_CONTEXT, {
+      return this.setPlaceholders(template, {
         prompt,
         nodeCount: context.nodes.length,
         existingFlow,
@@ -67,13 +105,218 @@ const ConnectorUtils = {
     return this.setPlaceholders(USER_PROMPT_TEMPLATE, { prompt })
   },
 
+  // Predicate for custom node catalogue entries the prompt names or the
+  // existing flow uses
+  customNodeFilter(prompt, nodes = []) {
+    const usedTypes = new Set(nodes.map(node => node.type))
+    const text = String(prompt || '').toLowerCase()
+
+    return entry => usedTypes.has(entry.name) || text.includes(String(entry.name).toLowerCase())
+  },
+
+  // Smaller copy of a flow context for one retry after the provider rejected
+  // the prompt as too long: only the custom nodes the prompt or the existing
+  // flow refer to
+  reduceContext(prompt, context) {
+    const customNodes = (context && context.customNodes) || []
+    const kept = customNodes.filter(this.customNodeFilter(prompt, (context && context.nodes) || []))
+
+    return {
+      context: { ...context, customNodes: kept },
+      customNodes: { kept: kept.length, total: customNodes.length }
+    }
+  },
+
+  // Rough progress from a partial flow answer. Nodes are counted by their "id"
+  // keys - wires only hold bare id strings, so they are not counted
+  previewFlow(text) {
+    const flowName = text.match(/"flowName"\s*:\s*"((?:[^"\\]|\\.)*)"/)
+
+    return {
+      nodeCount: (text.match(/"id"\s*:/g) || []).length,
+      flowName: flowName ? flowName[1] : ''
+    }
+  },
+
+  // Clarifying questions from a flow answer, cleaned up and capped at max:
+  // [{ id, question, choices?, default? }]. Entries without a question are
+  // dropped; a missing id becomes q1, q2, ...
+  normalizeQuestions(questions, max = 0) {
+    const output = Array.isArray(questions) ? questions : []
+
+    return output
+      .filter(entry => entry && typeof entry.question === 'string' && entry.question.trim())
+      .slice(0, max)
+      .map((entry, i) => {
+        const question = {
+          id: typeof entry.id === 'string' && entry.id.trim() ? entry.id.trim() : `q${i + 1}`,
+          question: entry.question.trim()
+        }
+        const choices = Array.isArray(entry.choices)
+          ? entry.choices.filter(choice => typeof choice === 'string' && choice.trim())
+          : []
+
+        if (choices.length > 0) {
+          question.choices = choices
+        }
+
+        if (typeof entry.default === 'string' && entry.default) {
+          question.default = entry.default
+        }
+
+        return question
+      })
+  },
+
+  // The prompt with the user's answers to clarifying questions appended,
+  // given [{ question, answer }]; unchanged when there are none
+  withAnswers(prompt, clarifications) {
+    const answered = Array.isArray(clarifications)
+      ? clarifications.filter(entry => entry && entry.question)
+      : []
+    const answers = answered
+      .map(entry => `- ${entry.question}\n  ${String(entry.answer || '').trim() || '(no answer)'}`)
+      .join('\n')
+
+    return answered.length > 0
+      ? this.setPlaceholders(CLARIFICATION_ANSWERS_PROMPT, { prompt, answers })
+      : prompt
+  },
+
+  // A flow plan cleaned up: { title, summary, stages: [{ name, description,
+  // nodeTypes }], externalSystems: [{ name, purpose }], configNodes:
+  // [{ type, purpose }] }. null when it has no named stage
+  normalizePlan(plan) {
+    const list = value => (Array.isArray(value) ? value.filter(entry => entry) : [])
+    const stages = list(plan && plan.stages)
+      .map(stage => ({
+        name: trimmed(stage.name),
+        description: trimmed(stage.description),
+        nodeTypes: list(stage.nodeTypes).map(trimmed).filter(Boolean)
+      }))
+      .filter(stage => stage.name)
+
+    return stages.length > 0
+      ? {
+        title: trimmed(plan.title),
+        summary: trimmed(plan.summary),
+        stages,
+        externalSystems: list(plan.externalSystems)
+          .map(entry => ({ name: trimmed(entry.name), purpose: trimmed(entry.purpose) }))
+          .filter(entry => entry.name),
+        configNodes: list(plan.configNodes)
+          .map(entry => ({ type: trimmed(entry.type), purpose: trimmed(entry.purpose) }))
+          .filter(entry => entry.type)
+      }
+      : null
+  },
+
+  // User prompt asking for a plan; the existing flow is only listed by node
+  // type and name - the plan is about stages, not settings
+  renderPlanPrompt(prompt, context) {
+    const nodes = (context && context.nodes) || []
+    const existingFlow = nodes.length > 0
+      ? `The workspace currently has ${nodes.length} existing nodes, which the plan should extend:\n${nodes
+        .map(node => `- ${node.type}${node.name ? ` "${node.name}"` : ''}`)
+        .join('\n')}\n\n`
+      : ''
+
+    return this.setPlaceholders(PLAN_FLOW_PROMPT, { prompt, existingFlow })
+  },
+
+  // The prompt with an approved plan appended (PLAN_BUILD_PROMPT); unchanged
+  // when there is no usable plan
+  withPlan(prompt, plan) {
+    const approved = this.normalizePlan(plan)
+
+    if (!approved) {
+      return prompt
+    }
+
+    const sections = [
+      approved.title && `Title: ${approved.title}`,
+      approved.summary && `Summary: ${approved.summary}`,
+      ['Stages:'].concat(approved.stages.map((stage, i) => [
+        `${i + 1}. ${this.describeStage(stage, ' - ')}`,
+        stage.nodeTypes.length > 0 && `   Node types: ${stage.nodeTypes.join(', ')}`
+      ].filter(Boolean).join('\n'))).join('\n'),
+      approved.externalSystems.length > 0 && ['External systems:'].concat(approved.externalSystems
+        .map(entry => `- ${entry.name}${entry.purpose ? `: ${entry.purpose}` : ''}`)).join('\n'),
+      approved.configNodes.length > 0 && ['Config nodes:'].concat(approved.configNodes
+        .map(entry => `- ${entry.type}${entry.purpose ? `: ${entry.purpose}` : ''}`)).join('\n')
+    ]
+
+    return this.setPlaceholders(PLAN_BUILD_PROMPT, {
+      prompt,
+      plan: sections.filter(Boolean).join('\n')
+    })
+  },
+
+  describeStage(stage, separator = ': ') {
+    return `${stage.name}${stage.description ? `${separator}${stage.description}` : ''}`
+  },
+
+  /*
+    User prompt for stage index (0-based) of a hierarchical build of a
+    normalized plan. The stage sees the whole request and the outline, but of
+    its neighbours only the interface: the msg the previous stage sends on
+    (previous.msg, as that stage reported it) and what the next stage does.
+  */
+  renderStagePrompt(prompt, plan, index, previous = null) {
+    const { stages } = plan
+    const stage = stages[index]
+    const next = stages[index + 1]
+    const input = index === 0
+      ? 'None - this is the first stage, so it starts the flow itself (for example with an inject, http in or mqtt in node).'
+      : `Messages arrive from stage ${index} (${stages[index - 1].name})${previous && previous.msg ? `: ${previous.msg}` : '.'}`
+    const output = next
+      ? `Stage ${index + 2} (${this.describeStage(next)}) takes the msg this stage sends on.`
+      : 'None - this is the last stage, nothing is wired after it.'
+
+    return this.setPlaceholders(STAGE_PROMPT, {
+      stageNumber: index + 1,
+      stageCount: stages.length,
+      outline: stages
+        .map((entry, i) => `${i + 1}. ${this.describeStage(entry)}${i === index ? ' (this stage)' : ''}`)
+        .join('\n'),
+      stageName: stage.name,
+      stageDescription: stage.description,
+      nodeTypes: stage.nodeTypes.join(', ') || 'any',
+      input,
+      output,
+      prompt
+    })
+  },
+
+  // The interface a stage answer reports: { input, output, outputPort, msg },
+  // or null when there is none
+  normalizeInterface(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return null
+    }
+
+    const port = Number(value.outputPort)
+
+    return {
+      input: trimmed(value.input),
+      output: trimmed(value.output),
+      outputPort: Number.isInteger(port) && port >= 0 ? port : 0,
+      msg: trimmed(value.msg)
+    }
+  },
+
+  // context.maxQuestions > 0 lets a flow answer be clarifying questions
+  // instead (CLARIFYING_QUESTIONS_PROMPT). type is flow, plan or node
   buildSystemPrompt(context, type = 'flow') {
-    return this.setPlaceholders(
-      type === 'flow'
-        ? SYSTEM_PROMPT_FLOW
-        : SYSTEM_PROMPT_NODE,
+    const templates = { flow: SYSTEM_PROMPT_FLOW, plan: SYSTEM_PROMPT_PLAN }
+    const output = this.setPlaceholders(
+      templates[type] || SYSTEM_PROMPT_NODE,
       { SYSTEM_PROMPT, CUSTOM_NODES, customNodes: JSON.stringify(context.customNodes || {}) }
     )
+
+    return type === 'flow' && context.maxQuestions > 0
+      ? `${output}\n\n${this.setPlaceholders(CLARIFYING_QUESTIONS_PROMPT, { maxQuestions: context.maxQuestions })}`
+      : output
   }
 }
 
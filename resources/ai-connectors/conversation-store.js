@@ -0,0 +1,153 @@
+/*
+  Conversation Store
+  Keeps the turns of a multi-turn flow building conversation, so a follow-up
+  such as "now make the schedule 8am" is sent together with the prompts and
+  answers before it instead of starting from scratch. Used by /ai/build-flow
+  when the request carries a conversation.
+
+  A turn is { prompt, flowName, flow, diff, at }: the user's request, the
+  flow the AI answered with and what that answer changed compared to the flow
+  it was given ({ added, removed, modified }, the shape the sidebar's
+  auto-verify log uses). history() replays the turns as user/assistant
+  messages for BaseConnector.generateFlow (options.history), which keeps the
+  newest turns that fit the token budget.
+
+  Settings:
+  - AI_CONVERSATION_MAX_TURNS: turns kept per conversation, oldest dropped
+    first (default 10)
+  - AI_CONVERSATION_TTL_MS: idle time after which a conversation is
+    forgotten (default 1 hour)
+
+  Conversations live in memory only. A follow-up to an unknown or expired
+  conversation starts a new one.
+*/
+const crypto = require('crypto')
+const getEnv = require('../config-loader')
+const FlowContext = require('./flow-context')
+
+const DEFAULT_MAX_TURNS = 10
+const DEFAULT_TTL_MS = 3600000
+const MAX_CONVERSATIONS = 200
+
+// Editor state and the tab a node sits on say nothing about what a turn changed
+const IGNORED_FIELDS = new Set(FlowContext.EDITOR_FIELDS.concat('z'))
+
+let conversations = new Map()
+
+const ConversationStore = {
+  // Forgets conversations idle for longer than AI_CONVERSATION_TTL_MS
+  prune(now = Date.now()) {
+    const ttl = Number(getEnv('AI_CONVERSATION_TTL_MS', DEFAULT_TTL_MS))
+
+    conversations.forEach((conversation, id) => {
+      if (now - conversation.updatedAt > ttl) {
+        conversations.delete(id)
+      }
+    })
+  },
+
+  start() {
+    const conversation = { id: crypto.randomUUID(), turns: [], updatedAt: Date.now() }
+
+    this.prune()
+    conversations.set(conversation.id, conversation)
+
+    // the Map is kept least recently used first (see append)
+    while (conversations.size > MAX_CONVERSATIONS) {
+      conversations.delete(conversations.keys().next().value)
+    }
+
+    return conversation
+  },
+
+  get(id) {
+    this.prune()
+
+    return (id && conversations.get(id)) || null
+  },
+
+  // The conversation with this id, or a new one when it is unknown
+  resume(id) {
+    return this.get(id) || this.start()
+  },
+
+  // Records a turn; before is the flow the prompt was sent with
+  append(id, {
+    prompt,
+    flowName,
+    flow,
+    before
+  }) {
+    const conversation = conversations.get(id)
+    const maxTurns = Number(getEnv('AI_CONVERSATION_MAX_TURNS', DEFAULT_MAX_TURNS))
+    const turn = {
+      prompt,
+      flowName: flowName || '',
+      flow: (flow || []).map(FlowContext.withoutEditorFields),
+      diff: this.diff(before, flow),
+      at: Date.now()
+    }
+
+    if (conversation) {
+      conversation.turns = conversation.turns.concat(turn).slice(-maxTurns)
+      conversation.updatedAt = turn.at
+      conversations.delete(id)
+      conversations.set(id, conversation)
+    }
+
+    return turn
+  },
+
+  // The turns as messages: each prompt, then the answer it got
+  history(id) {
+    const conversation = conversations.get(id)
+
+    return conversation
+      ? conversation.turns.reduce((messages, turn) => messages.concat(
+        { role: 'user', content: turn.prompt },
+        { role: 'assistant', content: JSON.stringify({ flowName: turn.flowName, flow: turn.flow }) }
+      ), [])
+      : []
+  },
+
+  diff(before, after) {
+    const nodes = after || []
+    const beforeById = new Map((before || []).map(node => [node.id, node]))
+    const afterIds = new Set(nodes.map(node => node.id))
+    const output = { added: [], removed: [], modified: [] }
+
+    nodes.forEach(node => {
+      const previous = beforeById.get(node.id)
+
+      if (!previous) {
+        output.added.push({ id: node.id, type: node.type, name: node.name || '' })
+      } else {
+        const changedFields = [...new Set(Object.keys(previous).concat(Object.keys(node)))]
+          .filter(field => !IGNORED_FIELDS.has(field)
+            && JSON.stringify(previous[field]) !== JSON.stringify(node[field]))
+
+        if (changedFields.length > 0) {
+          output.modified.push({ id: node.id, type: node.type, changedFields })
+        }
+      }
+    })
+
+    beforeById.forEach((node, id) => {
+      if (!afterIds.has(id)) {
+        output.removed.push({ id, type: node.type, name: node.name || '' })
+      }
+    })
+
+    return output
+  },
+
+  clear() {
+    conversations = new Map()
+  },
+
+  size() {
+    return conversations.size
+  }
+}
+
+module.exports = ConversationStore
@@ -0,0 +1,263 @@
+/*
+  Flow Checks
+  Static checks of a flow without the editor: best-of-N generation scores its
+  candidates with them, and /ai/validate-flow runs them for headless clients
+  and CI. They follow the sidebar's runSyntaxCheck, which needs the editor's
+  node registry, with what the server knows instead: the core nodes below,
+  the custom nodes the editor reported (/ai/custom-nodes, whose schema is the
+  node's editor defaults) and the runtime's registry. Each problem is
+  { check, id, message }:
+
+  - unknown_type: neither a core node, a reported custom node nor a type
+    options.isKnownType accepts
+  - duplicate_id: a second node with an id already taken
+  - invalid_z: z names no tab or subflow of the flow or options.tabs
+  - dangling_wire: wires that are not arrays of ids, or lead to no node
+  - missing_field: a field the node's defaults mark required is empty
+  - config_reference: a config node field (defaults type) that names no
+    config node of that type. Like the editor, an empty reference is only
+    accepted when the field says required: false
+  - jsonata: a JSONata expression of a change or switch node that
+    options.parseJsonata rejects (skipped without it)
+  - function_syntax: function node code that does not compile
+
+  score() ranks flows by their problems, lower is better.
+*/
+const vm = require('vm')
+
+// Editor defaults of the core nodes, reduced to the fields the checks use.
+// A type without fields is known but has nothing to check
+const CORE_NODES = {
+  tab: {},
+  subflow: {},
+  group: {},
+  junction: {},
+  comment: {},
+  unknown: {},
+  inject: {},
+  debug: {},
+  complete: {},
+  catch: {},
+  status: {},
+  'link in': {},
+  'link out': {},
+  'link call': {},
+  function: {},
+  switch: { property: { required: true } },
+  change: {},
+  range: {},
+  template: {},
+  delay: {},
+  trigger: {},
+  exec: {},
+  rbe: {},
+  filter: {},
+  split: {},
+  join: {},
+  sort: {},
+  batch: {},
+  csv: {},
+  html: {},
+  json: {},
+  xml: {},
+  yaml: {},
+  file: {},
+  'file in': {},
+  watch: {},
+  'global-config': {},
+  'mqtt in': { broker: { type: 'mqtt-broker', required: true } },
+  'mqtt out': { broker: { type: 'mqtt-broker', required: true } },
+  'mqtt-broker': { broker: { required: true } },
+  'http in': { url: { required: true }, method: { required: true } },
+  'http response': {},
+  'http request': { tls: { type: 'tls-config', required: false } },
+  'http proxy': {},
+  'websocket in': {},
+  'websocket out': {},
+  'websocket-listener': { path: { required: true } },
+  'websocket-client': { path: { required: true } },
+  'tcp in': {},
+  'tcp out': {},
+  'tcp request': {},
+  'udp in': {},
+  'udp out': {},
+  'tls-config': {}
+}
+
+// Problem weights for score(): a node the runtime cannot load breaks the
+// deploy, a dangling wire or bad reference breaks the node, an empty field
+// only marks it invalid
+const WEIGHTS = {
+  unknown_type: 3,
+  duplicate_id: 3,
+  dangling_wire: 2,
+  config_reference: 2,
+  jsonata: 2,
+  function_syntax: 2,
+  invalid_z: 1,
+  missing_field: 1
+}
+
+// Function node fields holding code, run as the body of an async function
+const FUNCTION_CODE = ['func', 'initialize', 'finalize']
+
+const isEmpty = value => value === undefined || value === null || value === ''
+
+// The compile error of function node code, '' when it compiles
+const syntaxError = code => {
+  try {
+    // eslint-disable-next-line no-new
+    new vm.Script(`(async function () {\n${code}\n})`)
+
+    return ''
+  } catch (e) {
+    return e.message
+  }
+}
+
+// [field, expression] of every JSONata expression a change or switch node
+// evaluates
+const jsonataExpressions = node => {
+  const rules = Array.isArray(node.rules) ? node.rules : []
+
+  if (node.type === 'change') {
+    return rules
+      .map((rule, i) => [`rules[${i}].to`, rule && rule.tot === 'jsonata' ? rule.to : undefined])
+      .filter(([, expression]) => expression !== undefined)
+  }
+
+  if (node.type === 'switch') {
+    return [['property', node.propertyType === 'jsonata' ? node.property : undefined]]
+      .concat(...rules.map((rule, i) => [
+        [`rules[${i}].v`, rule && rule.vt === 'jsonata' ? rule.v : undefined],
+        [`rules[${i}].v2`, rule && rule.v2t === 'jsonata' ? rule.v2 : undefined]
+      ]))
+      .filter(([, expression]) => expression !== undefined)
+  }
+
+  return []
+}
+
+// { type: defaults } of the core nodes and the reported custom nodes
+const nodeDefinitions = customNodes => (customNodes || []).reduce((acc, node) => {
+  if (node && typeof node.name === 'string') {
+    acc[node.name] = node.schema && typeof node.schema === 'object' ? node.schema : {}
+  }
+
+  return acc
+}, { ...CORE_NODES })
+
+const FlowChecks = {
+  CORE_NODES,
+  WEIGHTS,
+
+  /*
+    [{ check, id, message }] for flow. customNodes is the catalogue as the
+    editor reported it ([{ name, schema }]). options:
+    - isKnownType(type): accepts further types (the runtime's registry)
+    - parseJsonata(expression): throws on a malformed expression
+    - tabs: ids of tabs and subflows outside flow that nodes may sit on
+  */
+  check(flow, customNodes, options = {}) {
+    const problems = []
+    const nodes = (Array.isArray(flow) ? flow : []).filter(node => node && typeof node === 'object')
+    const byId = new Map(nodes.map(node => [node.id, node]))
+    const seen = new Set()
+    const tabs = new Set(nodes
+      .filter(node => node.type === 'tab' || node.type === 'subflow')
+      .map(node => node.id)
+      .concat(options.tabs || []))
+    const definitions = nodeDefinitions(customNodes)
+    const isKnownType = type => Object.prototype.hasOwnProperty.call(definitions, type)
+      || String(type).startsWith('subflow:')
+      || (typeof options.isKnownType === 'function' && options.isKnownType(type))
+    const add = (check, node, message) => problems.push({ check, id: node.id, message })
+
+    nodes.forEach(node => {
+      if (!isKnownType(node.type)) {
+        add('unknown_type', node, `Node "${node.id}" has unknown type "${node.type}"`)
+      }
+
+      if (seen.has(node.id)) {
+        add('duplicate_id', node, `Node "${node.id}" (${node.type}) reuses the id of another node`)
+      }
+
+      seen.add(node.id)
+
+      if (!isEmpty(node.z) && !tabs.has(node.z)) {
+        add('invalid_z', node, `Node "${node.id}" sits on unknown tab or subflow "${node.z}"`)
+      }
+
+      if (node.wires !== undefined) {
+        if (!Array.isArray(node.wires)) {
+          add('dangling_wire', node, `Node "${node.id}" wires is not an array`)
+        } else {
+          node.wires.forEach((port, i) => {
+            if (!Array.isArray(port)) {
+              add('dangling_wire', node, `Node "${node.id}" wires[${i}] is not an array`)
+            } else {
+              port.filter(target => !byId.has(target)).forEach(target => {
+                add('dangling_wire', node, `Node "${node.id}" wires to missing node "${target}" (port ${i})`)
+              })
+            }
+          })
+        }
+      }
+
+      const defaults = definitions[node.type] || {}
+
+      Object.keys(defaults).forEach(field => {
+        const definition = defaults[field] || {}
+        const value = node[field]
+
+        if (definition.type) {
+          const config = byId.get(value)
+          const broken = isEmpty(value)
+            ? definition.required !== false
+            : !config || config.type !== definition.type
+
+          if (broken) {
+            add('config_reference', node, `Node "${node.id}" (${node.type}) field ${field} needs a ${definition.type} config node`)
+          }
+        } else if (definition.required && isEmpty(value)) {
+          add('missing_field', node, `Node "${node.id}" (${node.type}) is missing required field ${field}`)
+        }
+      })
+
+      if (typeof options.parseJsonata === 'function') {
+        jsonataExpressions(node).forEach(([field, expression]) => {
+          try {
+            options.parseJsonata(String(expression))
+          } catch (e) {
+            add('jsonata', node, `Node "${node.id}" (${node.type}) has malformed JSONata in ${field}: ${e.message}`)
+          }
+        })
+      }
+
+      if (node.type === 'function') {
+        FUNCTION_CODE.filter(field => typeof node[field] === 'string').forEach(field => {
+          const error = syntaxError(node[field])
+
+          if (error) {
+            add('function_syntax', node, `Node "${node.id}" (function) ${field} does not compile: ${error}`)
+          }
+        })
+      }
+    })
+
+    return problems
+  },
+
+  // { score, problems: { check: count } } - score is the weighted problem
+  // count, 0 for a flow without problems
+  score(problems) {
+    return problems.reduce((acc, problem) => {
+      acc.score += WEIGHTS[problem.check] || 1
+      acc.problems[problem.check] = (acc.problems[problem.check] || 0) + 1
+
+      return acc
+    }, { score: 0, problems: {} })
+  }
+}
+
+module.exports = FlowChecks
@@ -0,0 +1,181 @@
+/*
+  Flow Context Pruning
+  Fits an existing flow into the flow context budget (AI_MAX_FLOW_CONTEXT_CHARS)
+  without cutting its wiring apart. Used by ConnectorUtils.serializeFlowContext
+  when the full JSON is too long:
+  1. editor-only fields (x/y, selection and dirty flags) are dropped
+  2. nodes are ranked by relevance to the prompt - terms found in their name,
+     type or info, or their id quoted in the prompt
+  3. the most relevant nodes and their upstream/downstream neighbours are kept
+     in full, nearest first, while the budget allows
+  4. every other node becomes a stub carrying only id, type, name and wires,
+     so the model still sees the whole graph
+  Only when even the stubs do not fit are the most distant ones omitted.
+*/
+
+const EDITOR_FIELDS = ['x', 'y', 'w', 'h', 'selected', 'dirty', 'changed', 'moved', 'valid', '_def', '_config']
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'when', 'then', 'than',
+  'them', 'they', 'its', 'are', 'was', 'not', 'but', 'all', 'any', 'can', 'should',
+  'would', 'could', 'please', 'make', 'use', 'using', 'add', 'node', 'nodes', 'flow',
+  'flows', 'each', 'also', 'only', 'every', 'have', 'has', 'will', 'out', 'our', 'your'
+])
+
+const withoutEditorFields = node => {
+  const output = { ...node }
+
+  EDITOR_FIELDS.forEach(field => {
+    delete output[field]
+  })
+
+  return output
+}
+
+const stub = node => {
+  const output = { id: node.id, type: node.type }
+
+  if (node.name) {
+    output.name = node.name
+  }
+
+  if (node.wires) {
+    output.wires = node.wires
+  }
+
+  return output
+}
+
+// Characters one node adds to JSON.stringify(nodes, null, 2): its own
+// indented JSON, one extra level of indentation per line, and the separator
+const sizeOf = node => {
+  const json = JSON.stringify(node, null, 2)
+
+  return json.length + 2 * json.split('\n').length + 2
+}
+
+const promptTerms = prompt => [...new Set(String(prompt || '').toLowerCase()
+  .match(/[a-z0-9][a-z0-9_-]{2,}/g) || [])]
+  .filter(term => !STOPWORDS.has(term))
+
+const FlowContext = {
+  EDITOR_FIELDS,
+  withoutEditorFields,
+  stub,
+
+  // Relevance of one node to the prompt; 0 when nothing matches
+  score(node, terms, prompt) {
+    const name = String(node.name || '').toLowerCase()
+    const type = String(node.type || '').toLowerCase()
+    const info = String(node.info || '').toLowerCase()
+    let output = node.id && String(node.id).length >= 4 && String(prompt || '').includes(node.id) ? 5 : 0
+
+    terms.forEach(term => {
+      output += (name.includes(term) ? 3 : 0)
+        + (type.includes(term) ? 2 : 0)
+        + (info.includes(term) ? 1 : 0)
+    })
+
+    return output
+  },
+
+  // Undirected adjacency over wires and link node pairs, as node indexes
+  neighbours(nodes) {
+    const position = new Map(nodes.map((node, i) => [node.id, i]))
+    const output = nodes.map(() => new Set())
+    const connect = (i, id) => {
+      const j = position.get(id)
+
+      if (j !== undefined && j !== i) {
+        output[i].add(j)
+        output[j].add(i)
+      }
+    }
+
+    nodes.forEach((node, i) => {
+      const targets = (node.wires || []).flat().concat(node.links || [])
+
+      targets.forEach(id => connect(i, id))
+    })
+
+    return output
+  },
+
+  /*
+    Node indexes from most to least worth keeping in full: prompt matches by
+    score, then their neighbours by graph distance, then unrelated nodes in
+    flow order. Without any match the flow order is kept as-is.
+  */
+  rank(nodes, prompt) {
+    const terms = promptTerms(prompt)
+    const scores = nodes.map(node => this.score(node, terms, prompt))
+    const adjacency = this.neighbours(nodes)
+    const distance = nodes.map(() => Infinity)
+    let frontier = nodes.map((node, i) => i).filter(i => scores[i] > 0)
+
+    frontier.forEach(i => {
+      distance[i] = 0
+    })
+
+    for (let depth = 1; frontier.length > 0; depth += 1) {
+      const next = []
+
+      frontier.forEach(i => adjacency[i].forEach(j => {
+        if (distance[j] === Infinity) {
+          distance[j] = depth
+          next.push(j)
+        }
+      }))
+      frontier = next
+    }
+
+    return nodes.map((node, i) => i).sort((a, b) => {
+      if (distance[a] !== distance[b]) {
+        return distance[a] < distance[b] ? -1 : 1
+      }
+
+      return (scores[b] - scores[a]) || (a - b)
+    })
+  },
+
+  /*
+    Returns { nodes, full, stubs, omitted } with nodes in their original
+    order, sized to fit maxChars when serialized with
+    JSON.stringify(nodes, null, 2). At least one node is always kept.
+  */
+  prune(nodes, prompt, maxChars) {
+    const cleaned = nodes.map(withoutEditorFields)
+    const fullSize = cleaned.map(sizeOf)
+    const stubSize = cleaned.map(node => sizeOf(stub(node)))
+    const order = this.rank(cleaned, prompt)
+    const kept = new Set(order)
+    const full = new Set()
+    let size = 3 + stubSize.reduce((sum, value) => sum + value, 0)
+
+    // drop the least relevant stubs until the rest fits
+    for (let i = order.length - 1; i > 0 && size > maxChars; i -= 1) {
+      kept.delete(order[i])
+      size -= stubSize[order[i]]
+    }
+
+    order.filter(i => kept.has(i)).forEach(i => {
+      const grow = fullSize[i] - stubSize[i]
+
+      if (size + grow <= maxChars) {
+        full.add(i)
+        size += grow
+      }
+    })
+
+    return {
+      nodes: cleaned
+        .map((node, i) => (full.has(i) ? node : stub(node)))
+        .filter((node, i) => kept.has(i)),
+      full: full.size,
+      stubs: kept.size - full.size,
+      omitted: cleaned.length - kept.size
+    }
+  }
+}
+
+module.exports = FlowContext
@@ -0,0 +1,181 @@
+/*
+  Flow Normalizer
+  Fixes the mechanical mistakes of a generated flow in code, before
+  /ai/build-flow and /ai/auto-verify/correct answer - an auto-verify attempt
+  is too expensive to spend on a missing wires array. In order:
+
+  - stray_tab: tab nodes are dropped, the sidebar picks the tab
+  - id: duplicate ids and ids that are not 16 hex digits get a new id derived
+    from the old one; wires, config node references, links, scope, z and g
+    follow (FlowStitcher.remapReferences - field values that merely equal an
+    id stay). Ids of options.keepIds (the nodes the flow was made from) are
+    kept
+  - z: a z naming no tab or subflow of the flow or options.tabs is removed
+  - wires: a missing wires array becomes [], a port that is one id becomes
+    [id]
+  - numeric_field: x, y, w, h, inputs and outputs given as numeric strings
+    become numbers
+  - position: flow nodes without x or y are placed in a row below the others
+
+  normalize() never drops a node other than a tab and never guesses at what
+  a node should do - anything beyond the above is left to auto-verify.
+  Each fix is reported as { fix, id, message }, id being the node's final id.
+*/
+const crypto = require('crypto')
+const FlowChecks = require('./flow-checks')
+const FlowStitcher = require('./flow-stitcher')
+
+const NODE_ID = /^[0-9a-f]{16}$/
+
+const NUMERIC_FIELDS = ['x', 'y', 'w', 'h', 'inputs', 'outputs']
+
+// Known types without wires: tabs, subflow templates, groups and config nodes
+const UNWIRED_TYPES = new Set([
+  'tab',
+  'subflow',
+  'group',
+  'mqtt-broker',
+  'websocket-listener',
+  'websocket-client',
+  'tls-config',
+  'http proxy',
+  'global-config'
+])
+
+// Layout of nodes placed by the normalizer, in editor pixels
+const ROW_GAP = 80
+const COLUMN_WIDTH = 180
+const LEFT = 120
+
+// A 16-hex id derived from seed, so the same answer is always fixed the same way
+const deriveId = seed => crypto.createHash('sha1').update(seed).digest('hex').substring(0, 16)
+
+const FlowNormalizer = {
+  NUMERIC_FIELDS,
+
+  /*
+    { flow, fixes } for flow. options:
+    - keepIds: ids that stay as they are (the existing nodes)
+    - tabs: ids of tabs and subflows outside flow that z may name
+    - customNodes: the custom node catalogue, whose types are flow nodes
+  */
+  normalize(flow, options = {}) {
+    const fixes = []
+    const add = (fix, node, message) => fixes.push({ fix, id: node.id, message })
+    const keepIds = new Set(options.keepIds || [])
+    const flowTypes = new Set(Object.keys(FlowChecks.CORE_NODES)
+      .concat((options.customNodes || []).map(node => node && node.name))
+      .filter(type => type && !UNWIRED_TYPES.has(type)))
+    const isFlowNode = node => !UNWIRED_TYPES.has(node.type) && (node.wires !== undefined
+      || node.x !== undefined || node.y !== undefined || flowTypes.has(node.type))
+    let nodes = (Array.isArray(flow) ? flow : [])
+      .filter(node => node && typeof node === 'object')
+      .map(node => ({ ...node }))
+
+    nodes = nodes.filter(node => {
+      if (node.type === 'tab') {
+        add('stray_tab', node, `Removed tab node "${node.id}"`)
+      }
+
+      return node.type !== 'tab'
+    })
+
+    // Ids: the first node keeps a duplicated id, the others are renumbered
+    const configIds = new Set(nodes.filter(node => !isFlowNode(node)).map(node => node.id))
+    const taken = new Set(nodes.map(node => node.id))
+    const seen = new Set()
+    const renamed = new Map()
+
+    nodes.forEach((node, i) => {
+      const original = node.id
+      const duplicate = seen.has(original)
+      const valid = keepIds.has(original)
+        || (typeof original === 'string' && NODE_ID.test(original))
+
+      seen.add(original)
+
+      if (duplicate || !valid) {
+        let id = deriveId(`${original}:${i}`)
+
+        while (taken.has(id)) {
+          id = deriveId(id)
+        }
+
+        taken.add(id)
+        node.id = id
+        add('id', node, duplicate
+          ? `Gave node ${id} (${node.type}) a new id, "${original}" was taken`
+          : `Replaced id "${original}" of node ${id} (${node.type})`)
+
+        if (!duplicate) {
+          renamed.set(original, id)
+        }
+      }
+    })
+
+    if (renamed.size > 0) {
+      nodes = nodes.map(node => FlowStitcher.remapReferences(node, renamed, configIds))
+    }
+
+    const tabs = new Set(nodes
+      .filter(node => node.type === 'subflow')
+      .map(node => node.id)
+      .concat(options.tabs || []))
+
+    nodes.forEach(node => {
+      if (node.z !== undefined && !tabs.has(node.z)) {
+        add('z', node, `Removed z "${node.z}" of node ${node.id}, no such tab or subflow`)
+        delete node.z
+      }
+
+      if (isFlowNode(node)) {
+        if (node.wires === undefined || node.wires === null) {
+          add('wires', node, `Added the missing wires of node ${node.id}`)
+          node.wires = []
+        } else if (!Array.isArray(node.wires)) {
+          add('wires', node, `Turned wires of node ${node.id} into a list of ports`)
+          node.wires = typeof node.wires === 'string' ? [[node.wires]] : []
+        } else if (!node.wires.every(Array.isArray)) {
+          add('wires', node, `Turned wires of node ${node.id} into a list of ports`)
+          node.wires = node.wires.map(port => {
+            if (Array.isArray(port)) {
+              return port
+            }
+
+            return typeof port === 'string' ? [port] : []
+          })
+        }
+      }
+
+      NUMERIC_FIELDS
+        .filter(field => typeof node[field] === 'string' && /^-?\d+(\.\d+)?$/.test(node[field].trim()))
+        .forEach(field => {
+          add('numeric_field', node, `Made ${field} of node ${node.id} a number`)
+          node[field] = Number(node[field])
+        })
+    })
+
+    // Unplaced flow nodes go in a row below the lowest placed node
+    const placed = nodes.filter(node => typeof node.y === 'number')
+    const row = placed.length > 0 ? Math.max(...placed.map(node => node.y)) + ROW_GAP : ROW_GAP
+
+    nodes
+      .filter(node => isFlowNode(node)
+        && (typeof node.x !== 'number' || typeof node.y !== 'number'))
+      .forEach((node, i) => {
+        add('position', node, `Placed node ${node.id} on the canvas`)
+
+        if (typeof node.x !== 'number') {
+          node.x = LEFT + i * COLUMN_WIDTH
+        }
+
+        if (typeof node.y !== 'number') {
+          node.y = row
+        }
+      })
+
+    return { flow: nodes, fixes }
+  }
+}
+
+module.exports = FlowNormalizer
@@ -0,0 +1,138 @@
+/*
+  Flow Patch
+  Changes to an existing flow as explicit operations - the answer shape of
+  generateFlow in patch mode (AI_FLOW_OUTPUT=patch). Instead of re-emitting
+  every node of a large tab, the model returns only what changes:
+
+  - { op: 'add', node: { id, type, ... } }
+  - { op: 'update', id, fields: { ... } }    a null field value removes it
+  - { op: 'remove', id }                     wires into the node go with it
+  - { op: 'rewire', id, wires: [[...ids]] }  replaces the node's outputs
+
+  apply() checks the operations against the flow they were made for and
+  returns the patched flow. A patch that names an unknown node, adds an id
+  that exists or wires to a node that does not is rejected as a whole, never
+  half applied. Nodes no operation names are kept exactly as they were, so the
+  model cannot drop them by leaving them out.
+*/
+
+const OPERATIONS = ['add', 'update', 'remove', 'rewire']
+
+// A node's identity and the tab it sits on are not the model's to change
+const LOCKED_FIELDS = ['id', 'z']
+
+const isWires = wires => Array.isArray(wires)
+  && wires.every(port => Array.isArray(port) && port.every(id => typeof id === 'string'))
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value)
+
+const FlowPatch = {
+  OPERATIONS,
+
+  /*
+    { valid, errors, flow, operations }: flow is the patched copy of nodes and
+    operations the patch reduced to the keys each op uses. errors name the
+    operation (1-based) they were found in.
+  */
+  apply(nodes, patch) {
+    const errors = []
+    const byId = new Map((nodes || []).map(node => [node.id, { ...node }]))
+    const removed = new Set()
+    const touched = new Set()
+    const operations = []
+
+    if (!Array.isArray(patch)) {
+      return {
+        valid: false,
+        errors: ['patch must be an array of operations'],
+        flow: [],
+        operations
+      }
+    }
+
+    patch.forEach((operation, i) => {
+      const at = `operation ${i + 1}`
+      const { op, id } = isObject(operation) ? operation : {}
+
+      if (op === 'add') {
+        const { node } = operation
+
+        if (!isObject(node) || typeof node.id !== 'string' || !node.id
+          || typeof node.type !== 'string' || !node.type) {
+          errors.push(`${at}: add needs a node with an id and a type`)
+        } else if (byId.has(node.id)) {
+          errors.push(`${at}: node ${node.id} already exists`)
+        } else if (node.wires !== undefined && !isWires(node.wires)) {
+          errors.push(`${at}: wires of node ${node.id} must be arrays of node ids`)
+        } else {
+          byId.set(node.id, { ...node })
+          removed.delete(node.id)
+          touched.add(node.id)
+          operations.push({ op, node })
+        }
+      } else if (!OPERATIONS.includes(op)) {
+        errors.push(`${at}: unknown op "${op}"`)
+      } else if (!byId.has(id)) {
+        errors.push(`${at}: there is no node ${id} to ${op}`)
+      } else if (op === 'remove') {
+        byId.delete(id)
+        removed.add(id)
+        operations.push({ op, id })
+      } else if (op === 'rewire') {
+        if (!isWires(operation.wires)) {
+          errors.push(`${at}: rewire needs wires as arrays of node ids`)
+        } else {
+          byId.get(id).wires = operation.wires
+          touched.add(id)
+          operations.push({ op, id, wires: operation.wires })
+        }
+      } else {
+        const { fields } = operation
+        const locked = isObject(fields) ? LOCKED_FIELDS.filter(field => field in fields) : []
+
+        if (!isObject(fields)) {
+          errors.push(`${at}: update needs fields`)
+        } else if (locked.length > 0) {
+          errors.push(`${at}: ${locked.join(', ')} cannot be updated`)
+        } else if (fields.wires !== undefined && fields.wires !== null && !isWires(fields.wires)) {
+          errors.push(`${at}: wires of node ${id} must be arrays of node ids`)
+        } else {
+          const node = byId.get(id)
+
+          Object.keys(fields).forEach(key => {
+            if (fields[key] === null) {
+              delete node[key]
+            } else {
+              node[key] = fields[key]
+            }
+          })
+          touched.add(id)
+          operations.push({ op, id, fields })
+        }
+      }
+    })
+
+    // Wires into removed nodes are dropped; wires the patch added must lead
+    // to a node that exists
+    const flow = [...byId.values()].map(node => (Array.isArray(node.wires)
+      ? { ...node, wires: node.wires.map(port => port.filter(target => !removed.has(target))) }
+      : node))
+
+    flow
+      .filter(node => touched.has(node.id) && Array.isArray(node.wires))
+      .forEach(node => node.wires.forEach(port => port.forEach(target => {
+        if (!byId.has(target)) {
+          errors.push(`node ${node.id} is wired to unknown node ${target}`)
+        }
+      })))
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      flow: errors.length === 0 ? flow : [],
+      operations: errors.length === 0 ? operations : []
+    }
+  }
+}
+
+module.exports = FlowPatch
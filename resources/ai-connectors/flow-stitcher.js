@@ -0,0 +1,185 @@
+/*
+  Flow Stitcher
+  Joins the flows of a hierarchical build (index.js builds a large flow one
+  stage at a time) into one flow. Every stage was generated on its own, so
+  ids may collide between stages, config nodes may be created twice and no
+  stage is wired to the next yet:
+
+  - every node gets a fresh Node-RED id; references to it inside its stage
+    (wires, config node references, link node links, catch and status scope,
+    z and g) follow, as do the nodes the stage's interface names
+  - config nodes with the same type and settings are kept once
+  - the output node of each stage is wired to the input node of the next
+  - stages are laid out top to bottom, in order
+
+  A stage is { name, flow, interface }, interface being { input, output,
+  outputPort } as the model reported it. When it is missing or names nodes
+  the stage does not have, detectInterface() guesses from the wiring.
+*/
+const crypto = require('crypto')
+
+// Vertical gap between two stages, in editor pixels
+const STAGE_GAP = 80
+
+const newId = () => crypto.randomBytes(8).toString('hex')
+
+// Config nodes have no wires and no position on the canvas
+const isConfigNode = node => !Array.isArray(node.wires) && node.x === undefined
+
+// Fields that hold node ids: the tab and group a node sits in, link node
+// links and catch/status/complete scope
+const ID_FIELDS = ['z', 'g']
+const ID_LIST_FIELDS = ['links', 'scope']
+
+// node with its references to the nodes in ids replaced. Only references are
+// touched - wires, ID_FIELDS, ID_LIST_FIELDS and top-level fields naming one
+// of configIds - never a payload or rule value that happens to equal an id
+const remapReferences = (node, ids, configIds) => {
+  const replace = item => (typeof item === 'string' && ids.has(item) ? ids.get(item) : item)
+
+  return Object.keys(node).reduce((acc, key) => {
+    const value = node[key]
+
+    if (key === 'wires' && Array.isArray(value)) {
+      acc[key] = value.map(port => (Array.isArray(port) ? port.map(replace) : replace(port)))
+    } else if (ID_LIST_FIELDS.includes(key) && Array.isArray(value)) {
+      acc[key] = value.map(replace)
+    } else if (ID_FIELDS.includes(key) || (key !== 'id' && configIds.has(value))) {
+      acc[key] = replace(value)
+    } else {
+      acc[key] = value
+    }
+
+    return acc
+  }, {})
+}
+
+const FlowStitcher = {
+  STAGE_GAP,
+  remapReferences,
+
+  /*
+    { input, output, outputPort } from the wiring alone: the first flow node
+    nothing in the stage wires into, and the last node with an output that
+    is not wired anywhere. Either is '' when there is none.
+  */
+  detectInterface(flow) {
+    const nodes = (flow || []).filter(node => Array.isArray(node.wires))
+    const targets = new Set(nodes.reduce((acc, node) => acc.concat(...node.wires), []))
+    const input = nodes.find(node => !targets.has(node.id))
+    const output = [...nodes].reverse()
+      .find(node => node.wires.length > 0 && node.wires.some(port => port.length === 0))
+
+    return {
+      input: input ? input.id : '',
+      output: output ? output.id : '',
+      outputPort: output ? output.wires.findIndex(port => port.length === 0) : 0
+    }
+  },
+
+  // The stage's interface, falling back to detectInterface() for the parts
+  // that do not name a node of the stage
+  resolveInterface(stage) {
+    const ids = new Set(stage.flow.map(node => node.id))
+    const reported = stage.interface || {}
+    const detected = this.detectInterface(stage.flow)
+    const output = ids.has(reported.output) ? reported.output : detected.output
+
+    return {
+      input: ids.has(reported.input) ? reported.input : detected.input,
+      output,
+      outputPort: output === reported.output && Number.isInteger(reported.outputPort)
+        ? reported.outputPort
+        : detected.outputPort
+    }
+  },
+
+  /*
+    { flow, links, warnings }: links are the wires added between stages as
+    [{ from: { stage, id, port }, to: { stage, id } }] (stage is 1-based);
+    warnings name stages that could not be wired.
+  */
+  stitch(stages) {
+    const flow = []
+    const links = []
+    const warnings = []
+    const configKeys = new Map()
+    const duplicates = new Map()
+    let top = 0
+
+    const ends = stages.map((stage, i) => {
+      const ids = new Map((stage.flow || []).map(node => [node.id, newId()]))
+      const configIds = new Set((stage.flow || []).filter(isConfigNode).map(node => node.id))
+      const remapped = (stage.flow || [])
+        .map(node => ({ ...remapReferences(node, ids, configIds), id: ids.get(node.id) }))
+      // the interface names nodes by the ids the model gave them
+      const reported = stage.interface && {
+        ...stage.interface,
+        input: ids.get(stage.interface.input) || stage.interface.input,
+        output: ids.get(stage.interface.output) || stage.interface.output
+      }
+      const ports = this.resolveInterface({ ...stage, flow: remapped, interface: reported })
+      const positioned = remapped.filter(node => typeof node.y === 'number')
+      const minY = positioned.length > 0 ? Math.min(...positioned.map(node => node.y)) : 0
+      let bottom = top
+
+      remapped.forEach(node => {
+        if (isConfigNode(node)) {
+          const { id, ...settings } = node
+          const key = JSON.stringify(settings)
+
+          if (configKeys.has(key)) {
+            duplicates.set(id, configKeys.get(key))
+          } else {
+            configKeys.set(key, id)
+            flow.push(node)
+          }
+        } else {
+          if (typeof node.y === 'number') {
+            node.y = node.y - minY + top
+            bottom = Math.max(bottom, node.y)
+          }
+
+          flow.push(node)
+        }
+      })
+
+      top = bottom + STAGE_GAP
+
+      return { stage: i + 1, name: stage.name, ...ports }
+    })
+
+    ends.slice(1).forEach((end, i) => {
+      const previous = ends[i]
+      const source = flow.find(node => node.id === previous.output)
+
+      if (!source || !end.input) {
+        warnings.push(`Stage ${previous.stage} (${previous.name}) could not be wired to stage ${end.stage} (${end.name})`)
+      } else {
+        if (!Array.isArray(source.wires)) {
+          source.wires = []
+        }
+
+        while (source.wires.length <= previous.outputPort) {
+          source.wires.push([])
+        }
+
+        source.wires[previous.outputPort].push(end.input)
+        links.push({
+          from: { stage: previous.stage, id: previous.output, port: previous.outputPort },
+          to: { stage: end.stage, id: end.input }
+        })
+      }
+    })
+
+    return {
+      flow: duplicates.size > 0
+        ? flow.map(node => remapReferences(node, duplicates, new Set(duplicates.keys())))
+        : flow,
+      links,
+      warnings
+    }
+  }
+}
+
+module.exports = FlowStitcher
@@ -1,34 +1,32 @@
 // Google AI (Gemini) Connector - Node.js version
-// Server-side implementation using axios
-const axios = require('axios')
-const getEnv = require('../config-loader')
-const ConnectorUtils = require('./connector-utils')
+// Server-side implementation on top of the shared BaseConnector runtime
+const BaseConnector = require('./base-connector')
+const ResponseSchemas = require('./response-schemas')
 
 const GoogleConnector = {
+  ...BaseConnector,
   name: 'google',
+  charsPerToken: 4,
+  defaultContextWindow: 1048576,
+  contextWindows: [
+    [/^gemini-1\.5-pro/, 2097152],
+    [/^gemini-(1\.0-pro|pro$)/, 32760]
+  ],
 
   getConfig() {
     return {
-      apiKey: getEnv('AI_API_KEY'),
-      model: getEnv('AI_MODEL', 'gemini-1.5-pro'),
-      maxCompletionTokens: getEnv('AI_MAX_COMPLETION_TOKENS'),
-      maxTokens: getEnv('AI_MAX_TOKENS'),
-      maxFlowContextChars: getEnv('AI_MAX_FLOW_CONTEXT_CHARS') || 18000
+      apiKey: this.env('AI_API_KEY'),
+      model: this.env('AI_MODEL', 'gemini-1.5-pro'),
+      structuredOutput: String(this.env('AI_STRUCTURED_OUTPUT', 'true')) !== 'false',
+      maxCompletionTokens: this.env('AI_MAX_COMPLETION_TOKENS'),
+      maxTokens: this.env('AI_MAX_TOKENS'),
+      contextWindow: this.env('AI_CONTEXT_WINDOW'),
+      maxFlowContextChars: this.env('AI_MAX_FLOW_CONTEXT_CHARS')
     }
   },
 
   validateConfig(config) {
-    const required = ['apiKey']
-    const missing = required.filter(field => !config[field])
-
-    if (missing.length > 0) {
-      return {
-        valid: false,
-        errors: [`Missing required fields: ${missing.join(', ')}`]
-      }
-    }
-
-    return { valid: true, errors: [] }
+    return this.validateRequired(config, ['apiKey'])
   },
 
   addTokens(config, generationConfig) {
@@ -39,298 +37,72 @@ const GoogleConnector = {
     }
   },
 
-  async generateFlow(prompt, context, configOverride) {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      flow: [],
-      error: '',
-      metadata: {}
-    }
+  getEndpoint(config) {
+    return `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`
+  },
 
-    const systemPrompt = ConnectorUtils.buildSystemPrompt(context)
-    const userPrompt = ConnectorUtils.buildUserPrompt(prompt, context, config.maxFlowContextChars)
+  getStreamEndpoint(config) {
+    return `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:streamGenerateContent?alt=sse&key=${config.apiKey}`
+  },
 
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`
+  // Streaming is selected by the endpoint, not a body flag
+  buildStreamRequestBody(config, request) {
+    return this.buildRequestBody(config, request)
+  },
 
+  // Gemini has no system role in contents - the system prompt is prepended to
+  // the first user turn, and assistant turns use the "model" role
+  buildRequestBody(config, request) {
+    const contents = request.messages.map((message, index) => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{
+        text: index === 0 ? `${request.systemPrompt}\n\n${message.content}` : message.content
+      }]
+    }))
+    const responseSchema = config.structuredOutput
+      ? ResponseSchemas.geminiResponseSchema(request.operation)
+      : null
     const body = {
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
-        }
-      ],
+      contents,
       generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 4000,
+        temperature: request.temperature,
+        maxOutputTokens: request.maxTokens,
         responseMimeType: 'application/json'
       }
     }
 
-    this.addTokens(config, body.generationConfig)
-
-    try {
-      const response = await axios.post(endpoint, body, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      })
-
-      const content = response.data.candidates[0]?.content?.parts[0]?.text
-
-      if (!content) {
-        output.error = 'No content in response'
-        return output
-      }
-
-      // Strip markdown code blocks if present
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
-        return output
-      }
-
-      output.success = true
-      output.flow = parsed.flow || []
-      output.flowName = parsed.flowName || ''
-      output.metadata = {
-        usage: response.data.usageMetadata,
-        model: config.model
-      }
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to generate flow'
-      }
-    }
-
-    return output
-  },
-
-  async resyncNode(nodeId, nodeType, info, currentConfig, configOverride, nodeName = '') {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      updatedNode: null,
-      error: ''
-    }
-
-    const systemPrompt = this.buildSystemPrompt('node')
-    const userPrompt = this.setPlaceholders(NODE_SEMANTIC_UPDATE_PROMPT, {
-      nodeType,
-      nodeId,
-      nodeName: nodeName || '',
-      info,
-      currentConfig: JSON.stringify(currentConfig, null, 2)
-    })
-
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`
-
-    const body = {
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
-        }
-      ],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 2000,
-        responseMimeType: 'application/json'
-      }
+    // Only closed schemas - responseSchema drops any property it does not
+    // list, which would strip node-specific fields from flows
+    if (responseSchema) {
+      body.generationConfig.responseSchema = responseSchema
     }
 
     this.addTokens(config, body.generationConfig)
 
-    try {
-      const response = await axios.post(endpoint, body, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      })
-
-      const content = response.data.candidates[0]?.content?.parts[0]?.text
-
-      if (!content) {
-        output.error = 'No content in response'
-        return output
-      }
-
-      // Strip markdown code blocks if present
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${content.substring(0, 200)}`
-        return output
-      }
-
-      output.success = true
-      output.updatedNode = parsed
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to resync node'
-      }
-    }
-
-    return output
+    return body
   },
 
-  async generateDescription(nodeId, nodeType, currentConfig, configOverride, nodeName = '') {
-    const config = configOverride || this.getConfig()
-    const output = {
-      success: false,
-      name: '',
-      description: '',
-      error: ''
-    }
-
-    try {
-      const systemPrompt = this.buildSystemPrompt('node')
-      const prompt = this.setPlaceholders(DESCRIPTION_GENERATION_PROMPT, {
-        nodeType,
-        nodeId,
-        nodeName: nodeName || '',
-        currentConfig: JSON.stringify(currentConfig, null, 2)
-      })
-
-      const body = {
-        contents: [
-          {
-            role: 'user',
-            parts: [{ text: `${systemPrompt}\n\n${prompt}` }]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 500,
-          responseMimeType: 'application/json'
-        }
-      }
-
-      this.addTokens(config, body.generationConfig)
-
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`,
-        body,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      )
-
-      const content = response.data?.candidates?.[0]?.content?.parts?.[0]?.text || ''
-
-      if (!content) {
-        output.error = 'No description in response'
-        return output
-      }
-
-      let cleanContent = content.trim()
-      const codeBlockMatch = cleanContent.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-      if (codeBlockMatch) {
-        cleanContent = codeBlockMatch[1].trim()
-      }
-
-      let parsed
-      try {
-        parsed = JSON.parse(cleanContent)
-      } catch (parseError) {
-        output.error = `AI returned invalid JSON. Response preview: ${cleanContent.substring(0, 200)}`
-        return output
-      }
-
-      if (!parsed.description || !parsed.name) {
-        output.error = 'AI response missing name or description'
-        return output
-      }
-
-      output.success = true
-      output.name = parsed.name.trim()
-      output.description = parsed.description.trim()
-    } catch (e) {
-      if (e.response) {
-        output.error = e.response.data?.error?.message || `HTTP ${e.response.status}`
-      } else if (e.request) {
-        output.error = 'No response from server - check network connection'
-      } else {
-        output.error = e.message || 'Failed to generate description'
-      }
-    }
-
-    return output
+  extractText(data) {
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text || ''
   },
 
-  buildSystemPrompt(type = 'flow') {
-    return this.setPlaceholders(
-      type === 'flow'
-        ? SYSTEM_PROMPT_FLOW
-        : SYSTEM_PROMPT_NODE,
-      { SYSTEM_PROMPT }
-    )
+  extractStreamText(chunk) {
+    return this.extractText(chunk)
   },
 
-  buildUserPrompt(prompt, context) {
-    if (context && context.nodes && context.nodes.length > 0) {
-      const existingFlow = this.serializeFlowContext(context.nodes)
-
-      return this.setPlaceholders(USER_PROMPT_WITH_CONTEXT, {
-        prompt,
-        nodeCount: context.nodes.length,
-        existingFlow,
-        customNodes: context.customNodes
-      })
-    }
-
-    return this.setPlaceholders(USER_PROMPT_TEMPLATE, { prompt })
+  extractUsage(data) {
+    return data.usageMetadata
   },
 
-  serializeFlowContext(nodes = []) {
-    const json = JSON.stringify(nodes, null, 2)
-    const config = this.getConfig()
-
-    if (json.length <= config.maxFlowContextChars) {
-      return json
+  extractMetadata(data) {
+    return {
+      stopReason: data.candidates?.[0]?.finishReason
     }
+  },
 
-    const ratio = config.maxFlowContextChars / json.length
-    const keepCount = Math.max(1, Math.floor(nodes.length * ratio))
-    const trimmed = nodes.slice(0, keepCount)
-    const trimmedJson = JSON.stringify(trimmed, null, 2)
-
-    return `${trimmedJson}\n\n/* NOTE: Flow truncated for context. Showing ${keepCount} of ${nodes.length} nodes. Preserve structure of unseen nodes. */`
+  isTruncated(data) {
+    return data.candidates?.[0]?.finishReason === 'MAX_TOKENS'
   }
 }
 
-// expose ConnectorUtils helpers on the connector for tests/consumers
-// but keep connector-specific serializeFlowContext
-Object.keys(ConnectorUtils).forEach(key => {
-  if (key === 'serializeFlowContext') return
-  if (GoogleConnector[key] === undefined) {
-    GoogleConnector[key] = ConnectorUtils[key]
-  }
-})
-
 module.exports = GoogleConnector
@@ -0,0 +1,249 @@
+/*
+  JSON Repair
+  Deterministic clean-up for model answers that are almost JSON. Used by
+  BaseConnector.parseJson only after JSON.parse has failed, so valid answers
+  never go through it. Each fix applied is reported by name:
+  - extracted_json: prose before/after the JSON, or one of several fenced blocks
+  - comments: line and block comments outside strings
+  - single_quotes: 'strings' rewritten with double quotes
+  - control_characters: raw newlines/tabs inside strings escaped
+  - trailing_commas: commas before a closing } or ]
+  - closed_truncated: an answer cut off mid-way, closed after its last complete
+    array element
+
+  The repair never guesses content: anything it cannot fix with the rules above
+  is reported as a failure.
+*/
+
+const FENCE = /```[a-zA-Z]*[ \t]*\n?([\s\S]*?)```/g
+
+const tryParse = text => {
+  try {
+    return { success: true, value: JSON.parse(text) }
+  } catch (e) {
+    return { success: false, value: null }
+  }
+}
+
+const closers = stack => stack.slice().reverse().map(open => (open === '{' ? '}' : ']')).join('')
+
+const CONTROL_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' }
+
+// Reads a quoted string starting at text[start]. Single-quoted strings are
+// re-emitted double-quoted; raw control characters are escaped
+const readString = (text, start) => {
+  const quote = text[start]
+  let value = ''
+  let i = start + 1
+  let closed = false
+  let escapedControl = false
+
+  while (i < text.length && !closed) {
+    const ch = text[i]
+
+    if (ch === '\\') {
+      value += quote === "'" && text[i + 1] === "'" ? "'" : `${ch}${text[i + 1] || ''}`
+      i += 2
+    } else if (ch === quote) {
+      closed = true
+      i += 1
+    } else {
+      if (CONTROL_ESCAPES[ch]) {
+        value += CONTROL_ESCAPES[ch]
+        escapedControl = true
+      } else if (ch === '"') {
+        value += '\\"'
+      } else {
+        value += ch
+      }
+
+      i += 1
+    }
+  }
+
+  return {
+    text: `"${value}${closed ? '"' : ''}`,
+    end: i,
+    closed,
+    escapedControl
+  }
+}
+
+/*
+  Single pass over one candidate starting at its first bracket. Stops when the
+  top-level value closes, so trailing prose is dropped. Safe points are output
+  positions right after a complete array element (or an opening "["), used to
+  cut back a truncated answer.
+*/
+const scan = text => {
+  const fixes = new Set()
+  const stack = []
+  const safePoints = []
+  let out = ''
+  let i = 0
+  let complete = false
+  let openString = false
+
+  const markSafe = () => safePoints.push({ length: out.length, stack: stack.slice() })
+
+  while (i < text.length && !complete) {
+    const ch = text[i]
+    const next = text[i + 1]
+
+    if (ch === '"' || ch === "'") {
+      const str = readString(text, i)
+
+      if (ch === "'") {
+        fixes.add('single_quotes')
+      }
+
+      if (str.escapedControl) {
+        fixes.add('control_characters')
+      }
+
+      out += str.text
+      openString = !str.closed
+      i = str.end
+    } else if (ch === '/' && next === '/') {
+      const end = text.indexOf('\n', i)
+
+      fixes.add('comments')
+      i = end === -1 ? text.length : end
+    } else if (ch === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2)
+
+      fixes.add('comments')
+      i = end === -1 ? text.length : end + 2
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch)
+      out += ch
+
+      if (ch === '[') {
+        markSafe()
+      }
+
+      i += 1
+    } else if (ch === '}' || ch === ']') {
+      const trimmed = out.replace(/,\s*$/, '')
+
+      if (trimmed !== out) {
+        fixes.add('trailing_commas')
+        out = trimmed
+      }
+
+      stack.pop()
+      out += ch
+      i += 1
+
+      if (stack.length === 0) {
+        complete = true
+      } else if (stack[stack.length - 1] === '[') {
+        markSafe()
+      }
+    } else {
+      out += ch
+      i += 1
+    }
+  }
+
+  if (complete && text.slice(i).trim()) {
+    fixes.add('extracted_json')
+  }
+
+  return {
+    out,
+    stack,
+    safePoints,
+    complete,
+    openString,
+    fixes
+  }
+}
+
+// Closes a truncated scan: cut back to each safe point, latest first, so a
+// half-written node is dropped rather than kept with cut-off values. Only when
+// no safe point works is it closed as-is (open string closed, dangling comma
+// dropped)
+const closeTruncated = result => {
+  const attempts = result.safePoints.slice().reverse()
+    .map(point => ({ ...point, suffix: '' }))
+    .concat({
+      length: result.out.length,
+      stack: result.stack,
+      suffix: result.openString ? '"' : ''
+    })
+  let output = { success: false, value: null }
+
+  for (let i = 0; i < attempts.length && !output.success; i += 1) {
+    const attempt = attempts[i]
+    const body = `${result.out.slice(0, attempt.length)}${attempt.suffix}`.replace(/[,:\s]*$/, '')
+
+    output = tryParse(`${body}${closers(attempt.stack)}`)
+  }
+
+  return output
+}
+
+const repairCandidate = (candidate, fixes) => {
+  const starts = ['{', '[']
+    .map(bracket => candidate.indexOf(bracket))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)
+  let output = { success: false, value: null, fixes: [] }
+
+  for (let i = 0; i < starts.length && !output.success; i += 1) {
+    const result = scan(candidate.slice(starts[i]))
+    const applied = new Set([...fixes, ...result.fixes])
+    let parsed = { success: false, value: null }
+
+    if (candidate.slice(0, starts[i]).trim()) {
+      applied.add('extracted_json')
+    }
+
+    if (result.complete) {
+      parsed = tryParse(result.out)
+    } else {
+      parsed = closeTruncated(result)
+      applied.add('closed_truncated')
+    }
+
+    if (parsed.success) {
+      output = { success: true, value: parsed.value, fixes: [...applied] }
+    }
+  }
+
+  return output
+}
+
+const JsonRepair = {
+  // Returns { success, value, fixes }. With several fenced blocks the largest
+  // one that repairs wins - the answer is the block that carries the flow,
+  // not a sample payload shown next to it
+  repair(text) {
+    const source = String(text || '')
+    const blocks = [...source.matchAll(FENCE)].map(match => match[1])
+    const outsideBlocks = source.replace(FENCE, '').trim()
+    const candidates = blocks.length > 0
+      ? blocks.map(block => ({
+        text: block,
+        fixes: blocks.length > 1 || outsideBlocks ? ['extracted_json'] : []
+      }))
+      : [{ text: source, fixes: [] }]
+    let output = { success: false, value: null, fixes: [] }
+
+    candidates
+      .map(candidate => repairCandidate(candidate.text, candidate.fixes))
+      .forEach((result, index) => {
+        const size = candidates[index].text.length
+        const bestSize = output.size || 0
+
+        if (result.success && size > bestSize) {
+          output = { ...result, size }
+        }
+      })
+
+    return { success: output.success, value: output.value, fixes: output.fixes }
+  }
+}
+
+module.exports = JsonRepair
@@ -0,0 +1,184 @@
+// Mock Connector - record/replay for offline development and tests
+//
+// Replays answers from a cassette file (AI_MOCK_CASSETTE, JSON) instead of
+// calling a provider, so /ai/build-flow, resync, descriptions and auto-verify
+// corrections run deterministically without AI access. With
+// AI_MOCK_MODE=record every call goes to a real connector
+// (AI_MOCK_RECORD_CONNECTOR) and its parsed answer is written to the cassette.
+//
+// Prompts are assembled by the shared BaseConnector runtime exactly as for a
+// real provider; only complete() is replaced. Answers are keyed by operation
+// and a hash of the normalized prompts - whitespace collapsed and Node-RED
+// node ids masked, so a flow re-imported with fresh ids still replays. A
+// prompt template change is a miss (errorCode mock_miss): record again.
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const getEnv = require('../config-loader')
+const BaseConnector = require('./base-connector')
+
+// 16 hex digit ids (Node-RED 3+) and the older "8hex.6hex" form
+const NODE_ID = /\b([0-9a-f]{16}|[0-9a-f]{8}\.[0-9a-f]{4,6})\b/g
+
+const MockConnector = {
+  ...BaseConnector,
+  name: 'mock',
+  // large enough that the flow context is rarely pruned, and the same in
+  // record and replay so both assemble identical prompts
+  defaultContextWindow: 128000,
+
+  getConfig() {
+    return {
+      mode: String(getEnv('AI_MOCK_MODE', 'replay')).trim().toLowerCase(),
+      cassette: getEnv('AI_MOCK_CASSETTE'),
+      recordConnector: getEnv('AI_MOCK_RECORD_CONNECTOR'),
+      model: 'mock',
+      contextWindow: this.env('AI_CONTEXT_WINDOW')
+    }
+  },
+
+  validateConfig(config) {
+    const output = this.validateRequired(config, ['cassette'])
+
+    if (!output.valid) {
+      return output
+    }
+
+    if (config.mode === 'record') {
+      const recorder = this.recorder(config)
+
+      if (recorder.error) {
+        output.valid = false
+        output.errors.push(recorder.error)
+      } else if (typeof recorder.connector.complete !== 'function') {
+        output.valid = false
+        output.errors.push(`Connector "${config.recordConnector}" cannot be recorded - it is not built on BaseConnector`)
+      }
+    } else if (config.mode !== 'replay') {
+      output.valid = false
+      output.errors.push(`AI_MOCK_MODE must be "replay" or "record", got "${config.mode}"`)
+    } else if (!fs.existsSync(this.cassettePath(config))) {
+      output.valid = false
+      output.errors.push(`Cassette not found: ${this.cassettePath(config)}`)
+    }
+
+    return output
+  },
+
+  supportsStreaming() {
+    return true
+  },
+
+  cassettePath(config) {
+    return path.resolve(process.cwd(), config.cassette)
+  },
+
+  normalize(text) {
+    return String(text || '').replace(NODE_ID, '<id>').replace(/\s+/g, ' ').trim()
+  },
+
+  // Conversation history, when there is any, is part of the prompt too
+  key(operation, systemPrompt, userPrompt, history = []) {
+    const turns = history.map(message => `${message.role}:${this.normalize(message.content)}`)
+    const hash = crypto.createHash('sha256')
+      .update([this.normalize(systemPrompt), ...turns, this.normalize(userPrompt)].join('\u0000'))
+      .digest('hex')
+
+    return `${operation}:${hash}`
+  },
+
+  readCassette(config) {
+    let output = { entries: {} }
+
+    try {
+      output = JSON.parse(fs.readFileSync(this.cassettePath(config), 'utf8'))
+    } catch (e) {
+      output = { entries: {} }
+    }
+
+    return output
+  },
+
+  // Entries sorted by key so re-recording gives a readable diff
+  writeCassette(config, cassette) {
+    const entries = Object.keys(cassette.entries).sort().reduce((acc, key) => {
+      acc[key] = cassette.entries[key]
+
+      return acc
+    }, {})
+
+    fs.writeFileSync(this.cassettePath(config), `${JSON.stringify({ entries }, null, 2)}\n`)
+  },
+
+  // The real connector used in record mode; loaded lazily because the loader
+  // is what loads this module
+  recorder(config) {
+    // eslint-disable-next-line global-require
+    const ConnectorLoader = require('./connector-loader')
+    let output = { error: 'AI_MOCK_RECORD_CONNECTOR is required in record mode' }
+
+    if (config.recordConnector === this.name) {
+      output = { error: 'AI_MOCK_RECORD_CONNECTOR cannot be the mock connector itself' }
+    } else if (config.recordConnector) {
+      output = ConnectorLoader.load(config.recordConnector)
+    }
+
+    return output
+  },
+
+  async complete(config, operation, systemPrompt, userPrompt, options = {}) {
+    const key = this.key(operation, systemPrompt, userPrompt, options.history)
+    let output = null
+
+    if (config.mode === 'record') {
+      const { connector } = this.recorder(config)
+      const realConfig = connector.getConfig()
+
+      output = await connector.complete(realConfig, operation, systemPrompt, userPrompt, options)
+
+      if (output.success) {
+        const cassette = this.readCassette(config)
+
+        cassette.entries[key] = {
+          operation,
+          prompt: this.normalize(userPrompt).substring(0, 200),
+          model: (output.metadata && output.metadata.model) || realConfig.model || '',
+          response: output.parsed
+        }
+        this.writeCassette(config, cassette)
+      }
+
+      output.metadata = { ...output.metadata, mock: { mode: 'record', key } }
+    } else {
+      const entry = this.readCassette(config).entries[key]
+
+      output = {
+        success: false,
+        parsed: {},
+        metadata: { model: 'mock', mock: { mode: 'replay', key } },
+        error: '',
+        errorCode: ''
+      }
+
+      if (entry) {
+        output.success = true
+        output.parsed = entry.response
+
+        // replayed as one chunk, so streaming callers still see progress
+        if (typeof options.onText === 'function') {
+          const content = JSON.stringify(entry.response)
+
+          options.onText(content, content)
+          output.metadata.streamed = true
+        }
+      } else {
+        output.error = `No recorded ${operation} response for this prompt in ${config.cassette} (${key}) - record it with AI_MOCK_MODE=record`
+        output.errorCode = 'mock_miss'
+      }
+    }
+
+    return output
+  }
+}
+
+module.exports = MockConnector
@@ -0,0 +1,136 @@
+// Ollama Connector - Node.js version
+// Server-side implementation on top of the shared BaseConnector runtime,
+// talking to a local Ollama /api/chat
+const axios = require('axios')
+const BaseConnector = require('./base-connector')
+
+const TAGS_TIMEOUT_MS = 5000
+
+// models confirmed as pulled, keyed by `${baseUrl}|${model}`. Only positive
+// results are cached so a later `ollama pull` is picked up without a restart
+const pulledModels = new Set()
+
+const OllamaConnector = {
+  ...BaseConnector,
+  name: 'ollama',
+  // sent as num_ctx, so Ollama's window matches the prompt budget
+  charsPerToken: 3.5,
+  defaultContextWindow: 8192,
+
+  getConfig() {
+    return {
+      baseUrl: this.env('AI_BASE_URL', 'http://localhost:11434'),
+      model: this.env('AI_MODEL', 'llama3.1'),
+      maxCompletionTokens: this.env('AI_MAX_COMPLETION_TOKENS'),
+      maxTokens: this.env('AI_MAX_TOKENS'),
+      contextWindow: this.env('AI_CONTEXT_WINDOW'),
+      maxFlowContextChars: this.env('AI_MAX_FLOW_CONTEXT_CHARS')
+    }
+  },
+
+  // Ollama reports pulled models as "name:tag"; a bare model name means ":latest"
+  isModelPulled(models, model) {
+    const wanted = model.includes(':') ? model : `${model}:latest`
+
+    return models.some(m => m.name === model || m.name === wanted || m.model === wanted)
+  },
+
+  async validateConfig(config) {
+    const output = this.validateRequired(config, ['baseUrl', 'model'])
+
+    if (!output.valid) {
+      return output
+    }
+
+    const baseUrl = config.baseUrl.replace(/\/$/, '')
+    const cacheKey = `${baseUrl}|${config.model}`
+
+    if (pulledModels.has(cacheKey)) {
+      return output
+    }
+
+    try {
+      const { data } = await axios.get(`${baseUrl}/api/tags`, { timeout: TAGS_TIMEOUT_MS })
+      const models = (data && Array.isArray(data.models)) ? data.models : []
+
+      if (this.isModelPulled(models, config.model)) {
+        pulledModels.add(cacheKey)
+      } else {
+        output.valid = false
+        output.errors.push(`Model "${config.model}" is not pulled on ${baseUrl} - run \`ollama pull ${config.model}\``)
+      }
+    } catch (e) {
+      output.valid = false
+      output.errors.push(`Cannot reach Ollama at ${baseUrl}: ${e.message}`)
+    }
+
+    return output
+  },
+
+  addTokens(config, options, fallbackMax) {
+    const tokenSetting = config.maxCompletionTokens || config.maxTokens || fallbackMax
+
+    if (tokenSetting) {
+      options.num_predict = Number(tokenSetting)
+    }
+  },
+
+  getEndpoint(config) {
+    return `${config.baseUrl.replace(/\/$/, '')}/api/chat`
+  },
+
+  noResponseMessage(config) {
+    return `No response from Ollama at ${config.baseUrl} - check it is running`
+  },
+
+  buildRequestBody(config, request) {
+    const body = {
+      model: config.model,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        ...request.messages
+      ],
+      stream: false,
+      format: 'json',
+      options: { temperature: request.temperature, num_ctx: this.getContextWindow(config) }
+    }
+
+    this.addTokens(config, body.options, request.maxTokens)
+
+    return body
+  },
+
+  extractText(data) {
+    return data?.message?.content || ''
+  },
+
+  // With stream: true Ollama answers with NDJSON, one message delta per line
+  extractStreamText(chunk) {
+    return this.extractText(chunk)
+  },
+
+  // Ollama reports token counts as top-level eval counters; map them onto the
+  // OpenAI-style usage object the sidebar already reads
+  extractUsage(data) {
+    const promptTokens = data.prompt_eval_count || 0
+    const completionTokens = data.eval_count || 0
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  },
+
+  extractMetadata(data) {
+    return {
+      stopReason: data.done_reason
+    }
+  },
+
+  isTruncated(data) {
+    return data.done_reason === 'length'
+  }
+}
+
+module.exports = OllamaConnector
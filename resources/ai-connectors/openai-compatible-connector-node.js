@@ -0,0 +1,100 @@
+// OpenAI-Compatible Connector - Node.js version
+// Server-side implementation on top of the shared BaseConnector runtime. Talks
+// to any server exposing the OpenAI chat completions API (vLLM, llama.cpp
+// server, LM Studio, gateways)
+const BaseConnector = require('./base-connector')
+
+const OpenAICompatibleConnector = {
+  ...BaseConnector,
+  name: 'openai-compatible',
+  // the served model is unknown - set AI_CONTEXT_WINDOW for larger ones
+  charsPerToken: 3.5,
+  defaultContextWindow: 8192,
+
+  getConfig() {
+    return {
+      baseUrl: this.env('AI_BASE_URL'),
+      apiKey: this.env('AI_API_KEY'),
+      model: this.env('AI_MODEL'),
+      jsonMode: String(this.env('AI_JSON_MODE', 'true')) !== 'false',
+      maxCompletionTokens: this.env('AI_MAX_COMPLETION_TOKENS'),
+      maxTokens: this.env('AI_MAX_TOKENS'),
+      contextWindow: this.env('AI_CONTEXT_WINDOW'),
+      maxFlowContextChars: this.env('AI_MAX_FLOW_CONTEXT_CHARS')
+    }
+  },
+
+  // apiKey is optional - most self-hosted servers run without auth
+  validateConfig(config) {
+    return this.validateRequired(config, ['baseUrl', 'model'])
+  },
+
+  // Self-hosted servers implement max_tokens; max_completion_tokens is an
+  // OpenAI-only addition, so both settings map onto max_tokens here
+  addTokens(config, body) {
+    const tokenSetting = config.maxCompletionTokens || config.maxTokens
+
+    if (tokenSetting) {
+      body.max_tokens = Number(tokenSetting)
+    }
+  },
+
+  getEndpoint(config) {
+    return `${config.baseUrl.replace(/\/$/, '')}/chat/completions`
+  },
+
+  getHeaders(config) {
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`
+    }
+
+    return headers
+  },
+
+  noResponseMessage(config) {
+    return `No response from ${config.baseUrl} - check the server is running`
+  },
+
+  buildRequestBody(config, request) {
+    const body = {
+      model: config.model,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        ...request.messages
+      ],
+      temperature: request.temperature
+    }
+
+    // Not every server accepts json_object (LM Studio only takes json_schema)
+    if (config.jsonMode) {
+      body.response_format = { type: 'json_object' }
+    }
+
+    this.addTokens(config, body)
+
+    return body
+  },
+
+  extractText(data) {
+    return data?.choices?.[0]?.message?.content || ''
+  },
+
+  extractStreamText(chunk) {
+    return chunk?.choices?.[0]?.delta?.content || ''
+  },
+
+  isTruncated(data) {
+    return data?.choices?.[0]?.finish_reason === 'length'
+  },
+
+  // Without JSON mode the answer is plain text and can be continued
+  canContinue(config) {
+    return !config.jsonMode
+  }
+}
+
+module.exports = OpenAICompatibleConnector
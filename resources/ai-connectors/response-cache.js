@@ -0,0 +1,175 @@
+/*
+  Response Cache
+  Optional cache for AI answers that only depend on their prompt - node resync
+  and descriptions, which users repeat when they reopen a tooltip or undo and
+  redo. Used by BaseConnector.completeCached; flow generation is never cached.
+
+  Entries are keyed by connector, model, operation and a hash of the
+  temperature, the structured output setting and the final system and user
+  prompts, so any change to the node, the custom node catalogue, the prompt
+  templates or the sampling is a miss. Only successful answers are stored.
+
+  Settings:
+  - AI_CACHE: "memory", "disk" or "off" (default)
+  - AI_CACHE_TTL_MS: entry lifetime, default 1 hour
+  - AI_CACHE_MAX_ENTRIES: size limit, least recently used entries are evicted
+    first (default 500)
+  - AI_CACHE_FILE: disk mode file, relative to userDir (default
+    sfl-ai-cache.json)
+
+  Disk mode keeps the same entries in memory and rewrites the file after each
+  change. The cache is best-effort: a file that cannot be read or written only
+  costs a miss.
+*/
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const getEnv = require('../config-loader')
+
+const DEFAULT_TTL_MS = 3600000
+const DEFAULT_MAX_ENTRIES = 500
+const DEFAULT_FILE = 'sfl-ai-cache.json'
+
+let entries = new Map()
+let loadedFrom = null
+let userDir = null
+let writing = Promise.resolve()
+
+const ResponseCache = {
+  setUserDir(dir) {
+    userDir = dir || null
+  },
+
+  mode() {
+    const mode = String(getEnv('AI_CACHE', 'off')).trim().toLowerCase()
+
+    return mode === 'memory' || mode === 'disk' ? mode : 'off'
+  },
+
+  enabled() {
+    return this.mode() !== 'off'
+  },
+
+  filePath() {
+    const file = getEnv('AI_CACHE_FILE', DEFAULT_FILE)
+
+    return path.isAbsolute(file)
+      ? file
+      : path.join(userDir || path.join(os.homedir(), '.node-red'), file)
+  },
+
+  key({
+    connector,
+    model,
+    operation,
+    temperature,
+    structuredOutput,
+    systemPrompt,
+    userPrompt
+  }) {
+    const sampling = `${temperature === undefined ? '' : temperature}|${structuredOutput === undefined ? '' : !!structuredOutput}`
+    const hash = crypto.createHash('sha256')
+      .update(`${sampling}\u0000${systemPrompt}\u0000${userPrompt}`)
+      .digest('hex')
+
+    return `${connector}|${model || ''}|${operation}|${hash}`
+  },
+
+  // Disk entries are read once, the first time the cache is used
+  load() {
+    const file = this.mode() === 'disk' ? this.filePath() : null
+
+    if (file && loadedFrom !== file) {
+      loadedFrom = file
+
+      try {
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+        entries = new Map(Object.entries(stored.entries || {}))
+      } catch (e) {
+        entries = new Map()
+      }
+    }
+  },
+
+  // Writes are chained so they land in order; flush() resolves after the last
+  persist() {
+    const file = this.mode() === 'disk' ? this.filePath() : null
+
+    if (file) {
+      const body = JSON.stringify({ entries: Object.fromEntries(entries) })
+
+      writing = writing
+        .then(() => fs.promises.writeFile(file, body))
+        .catch(() => {})
+    }
+
+    return writing
+  },
+
+  flush() {
+    return writing
+  },
+
+  // { value, ageMs }, or null on a miss
+  get(key) {
+    const now = Date.now()
+    let output = null
+
+    if (this.enabled()) {
+      this.load()
+
+      const entry = entries.get(key)
+
+      if (entry && entry.expires > now) {
+        // re-insert so the Map order stays least recently used first
+        entries.delete(key)
+        entries.set(key, entry)
+        output = { value: entry.value, ageMs: now - entry.storedAt }
+      } else if (entry) {
+        entries.delete(key)
+      }
+    }
+
+    return output
+  },
+
+  set(key, value) {
+    if (this.enabled()) {
+      const now = Date.now()
+      const ttl = Number(getEnv('AI_CACHE_TTL_MS', DEFAULT_TTL_MS))
+      const maxEntries = Number(getEnv('AI_CACHE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES))
+
+      this.load()
+      entries.delete(key)
+      entries.set(key, { value, storedAt: now, expires: now + ttl })
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+
+      this.persist()
+    }
+  },
+
+  // Drops every entry; resolves with how many there were
+  async clear() {
+    this.load()
+
+    const cleared = entries.size
+
+    entries = new Map()
+    await this.persist()
+
+    return cleared
+  },
+
+  size() {
+    this.load()
+
+    return entries.size
+  }
+}
+
+module.exports = ResponseCache
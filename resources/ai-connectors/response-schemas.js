@@ -0,0 +1,286 @@
+/*
+  Response Schemas
+  JSON Schemas for the answer shapes, keyed by BaseConnector operation:
+  - flow: { flowName, flow: [...nodes] }, or clarifying questions
+    { flowName: '', flow: [], questions: [...] } when the caller allows them.
+    A stage of a hierarchical build adds its interface
+    { input, output, outputPort, msg }
+  - patch: { flowName, patch: [...operations] }, changes to an existing flow
+    (flow-patch.js), or { flowName, flow } when the model answers the whole
+    flow, and clarifying questions as for flow
+  - plan: { title, summary, stages, externalSystems, configNodes }
+  - node: the updated node
+  - description: { name, description }
+
+  Connectors hand these to the provider's native structured-output mechanism
+  (OpenAI/Azure json_schema, Anthropic tool input_schema, Gemini
+  responseSchema) so the model cannot answer with prose or a code fence.
+
+  Node-RED nodes are open-ended - every node type has its own properties - so
+  node schemas pin only the common keys and allow the rest. A schema is
+  "closed" when every object lists all its keys; only closed schemas can be
+  used where the provider drops or rejects unlisted keys (OpenAI strict mode,
+  Gemini responseSchema). The flow, patch and node schemas are open, so
+  OpenAI/Azure get them as a non-strict guide and Gemini only JSON mode.
+  validate() enforces every schema on the parsed answer instead:
+  BaseConnector.complete() fails an answer that does not match with errorCode
+  schema_mismatch.
+*/
+
+const WIRES = {
+  type: 'array',
+  items: { type: 'array', items: { type: 'string' } }
+}
+
+const NODE = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string' },
+    name: { type: 'string' },
+    z: { type: 'string' },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    wires: WIRES
+  },
+  required: ['id', 'type'],
+  additionalProperties: true
+}
+
+const QUESTION = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    question: { type: 'string' },
+    choices: { type: 'array', items: { type: 'string' } },
+    default: { type: 'string' }
+  },
+  required: ['id', 'question'],
+  additionalProperties: false
+}
+
+const STAGE_INTERFACE = {
+  type: 'object',
+  properties: {
+    input: { type: 'string' },
+    output: { type: 'string' },
+    outputPort: { type: 'number' },
+    msg: { type: 'string' }
+  },
+  additionalProperties: false
+}
+
+const PATCH_OPERATION = {
+  type: 'object',
+  properties: {
+    op: { type: 'string', enum: ['add', 'update', 'remove', 'rewire'] },
+    id: { type: 'string' },
+    node: NODE,
+    fields: { type: 'object', additionalProperties: true },
+    wires: WIRES
+  },
+  required: ['op'],
+  additionalProperties: false
+}
+
+// A plan is read by people and fully known, so every key is listed
+const closedObject = properties => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+})
+
+const STRING = { type: 'string' }
+
+const PLAN = closedObject({
+  title: STRING,
+  summary: STRING,
+  stages: {
+    type: 'array',
+    items: closedObject({
+      name: STRING,
+      description: STRING,
+      nodeTypes: { type: 'array', items: STRING }
+    })
+  },
+  externalSystems: {
+    type: 'array',
+    items: closedObject({ name: STRING, purpose: STRING })
+  },
+  configNodes: {
+    type: 'array',
+    items: closedObject({ type: STRING, purpose: STRING })
+  }
+})
+
+const SCHEMAS = {
+  flow: {
+    name: 'node_red_flow',
+    description: 'Return the generated Node-RED flow',
+    closed: false,
+    schema: {
+      type: 'object',
+      properties: {
+        flowName: { type: 'string' },
+        flow: { type: 'array', items: NODE },
+        questions: { type: 'array', items: QUESTION },
+        interface: STAGE_INTERFACE
+      },
+      required: ['flowName', 'flow'],
+      additionalProperties: false
+    }
+  },
+  patch: {
+    name: 'node_red_flow_patch',
+    description: 'Return the operations that change the Node-RED flow',
+    closed: false,
+    schema: {
+      type: 'object',
+      properties: {
+        flowName: { type: 'string' },
+        patch: { type: 'array', items: PATCH_OPERATION },
+        flow: { type: 'array', items: NODE },
+        questions: { type: 'array', items: QUESTION }
+      },
+      required: ['flowName', 'patch'],
+      additionalProperties: false
+    }
+  },
+  plan: {
+    name: 'node_red_flow_plan',
+    description: 'Return the plan for the Node-RED flow',
+    closed: true,
+    schema: PLAN
+  },
+  node: {
+    name: 'node_red_node',
+    description: 'Return the updated Node-RED node',
+    closed: false,
+    schema: NODE
+  },
+  description: {
+    name: 'node_description',
+    description: 'Return the node name and description',
+    closed: true,
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' }
+      },
+      required: ['name', 'description'],
+      additionalProperties: false
+    }
+  }
+}
+
+// Gemini takes an OpenAPI subset: upper-case types, no additionalProperties
+const toGeminiSchema = schema => {
+  const output = { type: schema.type.toUpperCase() }
+
+  if (schema.properties) {
+    output.properties = Object.keys(schema.properties).reduce((acc, key) => {
+      acc[key] = toGeminiSchema(schema.properties[key])
+
+      return acc
+    }, {})
+  }
+
+  if (schema.items) {
+    output.items = toGeminiSchema(schema.items)
+  }
+
+  if (schema.required) {
+    output.required = schema.required
+  }
+
+  return output
+}
+
+const typeOf = value => {
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+
+  return value === null ? 'null' : typeof value
+}
+
+// Problems of value against schema, for the JSON Schema subset used above:
+// type, enum, properties, required, additionalProperties and items
+const validateValue = (schema, value, path) => {
+  const type = typeOf(value)
+
+  if (type !== schema.type) {
+    return [`${path} is ${type}, expected ${schema.type}`]
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} is "${value}", expected one of ${schema.enum.join(', ')}`]
+  }
+
+  if (type === 'array') {
+    return schema.items
+      ? [].concat(...value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`)))
+      : []
+  }
+
+  if (type !== 'object') {
+    return []
+  }
+
+  const properties = schema.properties || {}
+  const missing = (schema.required || [])
+    .filter(key => value[key] === undefined)
+    .map(key => `${path}.${key} is missing`)
+  const unknown = schema.additionalProperties === false
+    ? Object.keys(value)
+      .filter(key => !Object.prototype.hasOwnProperty.call(properties, key))
+      .map(key => `${path}.${key} is not allowed`)
+    : []
+
+  return missing.concat(unknown, ...Object.keys(properties)
+    .filter(key => value[key] !== undefined)
+    .map(key => validateValue(properties[key], value[key], `${path}.${key}`)))
+}
+
+const ResponseSchemas = {
+  ...SCHEMAS,
+
+  get(operation) {
+    return SCHEMAS[operation] || null
+  },
+
+  // OpenAI / Azure chat completions response_format. Strict mode needs a
+  // closed schema, so open ones are sent as a (non-enforced) guide
+  openAIResponseFormat(operation) {
+    const entry = SCHEMAS[operation]
+
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: entry.name,
+        description: entry.description,
+        strict: entry.closed,
+        schema: entry.schema
+      }
+    }
+  },
+
+  // Problems of a parsed answer against the operation's schema, [] when it
+  // matches or the operation has no schema
+  validate(operation, value) {
+    const entry = SCHEMAS[operation]
+
+    return entry ? validateValue(entry.schema, value, 'answer') : []
+  },
+
+  // null for open schemas - Gemini would drop every node property not listed
+  geminiResponseSchema(operation) {
+    const entry = SCHEMAS[operation]
+
+    return entry && entry.closed ? toGeminiSchema(entry.schema) : null
+  }
+}
+
+module.exports = ResponseSchemas
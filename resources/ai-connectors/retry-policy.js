@@ -0,0 +1,139 @@
+/*
+  Retry Policy
+  Shared by every connector through BaseConnector.send/sendStream, so flow
+  generation, node resync, descriptions and auto-verify corrections all retry
+  the same way.
+
+  Only failures that are safe to repeat are retried - rate limits, timeouts,
+  5xx and network errors (BaseConnector.classifyError). Bad requests and auth
+  errors fail at once. The wait is exponential backoff with jitter, unless the
+  provider sends Retry-After / retry-after-ms. A Retry-After longer than
+  AI_RETRY_MAX_DELAY_MS is not waited out: the call fails so a connector chain
+  can move on to the next provider instead. Cancelling the request (its
+  AbortSignal) also ends a wait at once.
+
+  Settings: AI_RETRY_MAX_ATTEMPTS (total attempts, default 3; 1 disables
+  retries), AI_RETRY_BASE_DELAY_MS (default 1000), AI_RETRY_MAX_DELAY_MS
+  (default 30000).
+*/
+const getEnv = require('../config-loader')
+
+const RETRYABLE = new Set(['rate_limited', 'timeout', 'server_error', 'network'])
+
+const RetryPolicy = {
+  RETRYABLE,
+
+  getPolicy() {
+    return {
+      maxAttempts: Math.max(1, Number(getEnv('AI_RETRY_MAX_ATTEMPTS', 3)) || 1),
+      baseDelayMs: Number(getEnv('AI_RETRY_BASE_DELAY_MS', 1000)),
+      maxDelayMs: Number(getEnv('AI_RETRY_MAX_DELAY_MS', 30000))
+    }
+  },
+
+  // Milliseconds the provider asked us to wait, or null. retry-after-ms is
+  // sent by OpenAI and Azure; Retry-After may be seconds or an HTTP date
+  retryAfterMs(error) {
+    const headers = (error.response && error.response.headers) || {}
+    const ms = Number(headers['retry-after-ms'])
+    const raw = headers['retry-after']
+    let output = null
+
+    if (Number.isFinite(ms) && ms >= 0) {
+      output = ms
+    } else if (raw !== undefined && raw !== null && raw !== '') {
+      const seconds = Number(raw)
+      const date = Date.parse(raw)
+
+      if (Number.isFinite(seconds)) {
+        output = Math.max(0, seconds * 1000)
+      } else if (Number.isFinite(date)) {
+        output = Math.max(0, date - Date.now())
+      }
+    }
+
+    return output
+  },
+
+  // Equal jitter: half the exponential step is fixed, half random, so
+  // parallel callers spread out without ever retrying immediately
+  backoffMs(attempt, policy) {
+    const step = Math.min(policy.maxDelayMs, policy.baseDelayMs * (2 ** (attempt - 1)))
+
+    return Math.round(step / 2 + Math.random() * (step / 2))
+  },
+
+  // Waits ms, or rejects with an AbortError as soon as signal fires, so a
+  // cancelled request stops between retries as well as during one
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const cancelled = () => {
+        const error = new Error('Request cancelled')
+
+        error.name = 'AbortError'
+
+        return error
+      }
+
+      if (signal && signal.aborted) {
+        reject(cancelled())
+
+        return
+      }
+
+      let timer = null
+      const onAbort = () => {
+        clearTimeout(timer)
+        reject(cancelled())
+      }
+
+      timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+
+        resolve()
+      }, ms)
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true })
+      }
+    })
+  },
+
+  /*
+    Calls fn until it resolves, the failure is not retryable, or attempts run
+    out; the last error is rethrown. classify(error) maps an error to an
+    errorCode; onRetry(error, attempt, delayMs) is called before each wait.
+    signal (an AbortSignal) cuts a wait short with an AbortError.
+  */
+  async run(fn, { classify, onRetry, signal } = {}) {
+    const policy = this.getPolicy()
+    let attempt = 1
+
+    for (;;) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await fn()
+      } catch (error) {
+        const retryAfter = this.retryAfterMs(error)
+        const delay = retryAfter === null ? this.backoffMs(attempt, policy) : retryAfter
+        const retryable = RETRYABLE.has(classify(error))
+
+        if (!retryable || attempt >= policy.maxAttempts || delay > policy.maxDelayMs) {
+          throw error
+        }
+
+        if (onRetry) {
+          onRetry(error, attempt, delay)
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        await this.sleep(delay, signal)
+        attempt += 1
+      }
+    }
+  }
+}
+
+module.exports = RetryPolicy
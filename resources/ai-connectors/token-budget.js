@@ -0,0 +1,112 @@
+/*
+  Token Budget
+  Splits a model's context window across the parts of a flow prompt:
+
+    context window
+      - reserved output tokens (the operation's max tokens)
+      - safety margin (the token counts below are estimates)
+      = available, spent on
+        system prompt   fixed
+        prompt          fixed: user prompt template + the user's request
+        history         earlier turns of a conversation, newest first, at
+                        most HISTORY_SHARE of what is left
+        custom nodes    the catalogue, at most CATALOGUE_SHARE of what is left
+        flow context    everything else, handed to flow-context.js as chars
+
+  Token counts are a local estimate - characters divided by the connector's
+  charsPerToken - so no tokenizer has to be shipped per provider. Connectors
+  tune charsPerToken and declare their models' context windows.
+*/
+
+const SAFETY_MARGIN = 0.05
+const CATALOGUE_SHARE = 0.25
+const HISTORY_SHARE = 0.25
+
+const TokenBudget = {
+  SAFETY_MARGIN,
+  CATALOGUE_SHARE,
+  HISTORY_SHARE,
+
+  estimateTokens(text, charsPerToken = 4) {
+    return Math.ceil(String(text || '').length / charsPerToken)
+  },
+
+  // First [pattern, tokens] entry matching the model name, else the fallback
+  contextWindowFor(model, windows = [], fallback = 8192) {
+    const entry = windows.find(([pattern]) => pattern.test(String(model || '')))
+
+    return entry ? entry[1] : fallback
+  },
+
+  /*
+    Token allowances for the variable sections, given the fixed ones.
+    Returns { available, history, customNodes, flowContext }. history is the
+    allowance for conversation turns; pass the tokens of the turns actually
+    kept as historyTokens to have them taken out of the other sections.
+    flowShare (0-1) scales the flow context down for a retry after a context
+    overflow.
+  */
+  allocate({
+    contextWindow,
+    outputTokens,
+    system,
+    prompt,
+    historyTokens = 0,
+    flowShare = 1
+  }) {
+    const available = Math.max(0, Math.floor(contextWindow * (1 - SAFETY_MARGIN)) - outputTokens)
+    const open = Math.max(0, available - system - prompt)
+    const remaining = Math.max(0, open - historyTokens)
+    const customNodes = Math.floor(remaining * CATALOGUE_SHARE)
+
+    return {
+      available,
+      history: Math.floor(open * HISTORY_SHARE),
+      customNodes,
+      flowContext: Math.floor((remaining - customNodes) * flowShare)
+    }
+  },
+
+  // The most recent user/assistant pairs of messages that fit the allowance,
+  // in their original order
+  fitHistory(messages, allowance, charsPerToken = 4) {
+    let used = 0
+    let start = messages.length
+
+    while (start >= 2) {
+      const cost = messages.slice(start - 2, start)
+        .reduce((sum, message) => sum + this.estimateTokens(message.content, charsPerToken), 0)
+
+      if (used + cost > allowance) {
+        break
+      }
+
+      used += cost
+      start -= 2
+    }
+
+    return messages.slice(start)
+  },
+
+  // Catalogue entries that fit the allowance, relevant ones first (see
+  // ConnectorUtils.customNodeFilter); the catalogue keeps its order
+  fitCatalogue(customNodes, allowance, { relevant = () => false, charsPerToken = 4 } = {}) {
+    const order = customNodes.map((entry, i) => i)
+      .sort((a, b) => Number(relevant(customNodes[b])) - Number(relevant(customNodes[a])) || a - b)
+    const kept = new Set()
+    let used = this.estimateTokens('[]', charsPerToken)
+
+    order.forEach(i => {
+      const cost = this.estimateTokens(`${JSON.stringify(customNodes[i])},`, charsPerToken)
+
+      if (used + cost <= allowance) {
+        kept.add(i)
+        used += cost
+      }
+    })
+
+    return customNodes.filter((entry, i) => kept.has(i))
+  }
+}
+
+module.exports = TokenBudget
@@ -25,7 +25,9 @@
 
   // Lightweight axios-shaped wrapper over jQuery's $.ajax (which Node-RED loads).
   // Resolves with { data } and rejects with an error carrying a `.response` field
-  // shaped like axios so existing handlers keep working.
+  // shaped like axios so existing handlers keep working. opts.signal (an
+  // AbortSignal) aborts the request, which then rejects with name AbortError -
+  // the server sees the disconnect and aborts its provider call.
   const apiRequest = (method, path, body, opts = {}) => {
     const config = {
       url: adminPath(path),
@@ -43,13 +45,15 @@
     }
 
     return new Promise((resolve, reject) => {
-      $.ajax(config)
+      const request = $.ajax(config)
         .done(data => resolve({ data }))
         .fail((xhr, status, errText) => {
           const message = errText || status || 'request failed'
           const wrapped = new Error(message)
 
-          if (xhr) {
+          if (status === 'abort') {
+            wrapped.name = 'AbortError'
+          } else if (xhr) {
             wrapped.response = {
               status: xhr.status,
               statusText: xhr.statusText || '',
@@ -59,9 +63,174 @@
 
           reject(wrapped)
         })
+
+      if (opts.signal) {
+        if (opts.signal.aborted) {
+          request.abort()
+        } else {
+          opts.signal.addEventListener('abort', () => request.abort(), { once: true })
+        }
+      }
     })
   }
 
+  // fetch with a readable body is needed to see server-sent events while they
+  // arrive - $.ajax only hands over the response once it is complete
+  const canStream = () => typeof fetch === 'function'
+    && typeof TextDecoder === 'function'
+    && typeof ReadableStream === 'function'
+
+  // POSTs to a server-sent events endpoint. Calls onEvent(name, data) per
+  // event and resolves with { data } from the final "result" event. Errors are
+  // shaped like apiRequest's; an aborted request rejects with name AbortError.
+  const streamRequest = async (path, body, { onEvent = () => {}, signal } = {}) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream'
+    }
+    // $.ajax gets the admin token from Node-RED's ajaxSetup; fetch does not
+    const tokens = RED?.settings?.get?.('auth-tokens')
+
+    if (tokens && tokens.access_token) {
+      headers.Authorization = `Bearer ${tokens.access_token}`
+    }
+
+    const response = await fetch(adminPath(path), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    })
+
+    if (!response.ok) {
+      const wrapped = new Error(response.statusText || 'request failed')
+
+      wrapped.response = {
+        status: response.status,
+        statusText: response.statusText || '',
+        data: await response.json().catch(() => '')
+      }
+
+      throw wrapped
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    let result = null
+    let done = false
+
+    const readEvent = block => {
+      let name = 'message'
+      const dataLines = []
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          name = line.slice(6).trim()
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trim())
+        }
+      })
+
+      if (dataLines.length > 0) {
+        const data = JSON.parse(dataLines.join('\n'))
+
+        if (name === 'result') {
+          result = data
+        }
+
+        onEvent(name, data)
+      }
+    }
+
+    while (!done) {
+      // eslint-disable-next-line no-await-in-loop
+      const chunk = await reader.read()
+
+      done = chunk.done
+
+      if (chunk.value) {
+        const blocks = (buffer + decoder.decode(chunk.value, { stream: true })).split('\n\n')
+
+        buffer = blocks.pop()
+        blocks.forEach(readEvent)
+      }
+    }
+
+    if (buffer.trim()) {
+      readEvent(buffer)
+    }
+
+    if (!result) {
+      throw new Error('Flow stream ended without a result')
+    }
+
+    return { data: result }
+  }
+
+  // Streams /ai/build-flow when the browser can; falls back to the plain
+  // endpoint when it cannot, or when the server predates the stream route
+  const requestFlow = (body, { onEvent, signal } = {}) => {
+    if (!canStream()) {
+      return apiRequest('POST', '/ai/build-flow', body, { signal })
+    }
+
+    return streamRequest('/ai/build-flow/stream', body, { onEvent, signal }).catch(err => {
+      if (err.response && err.response.status === 404) {
+        return apiRequest('POST', '/ai/build-flow', body, { signal })
+      }
+
+      throw err
+    })
+  }
+
+  // AbortController of the flow build in progress, used by the Cancel button
+  let activeBuild = null
+
+  // Conversation per editor tab: { id, turns: [{ prompt, flowName, diff }] }.
+  // Follow-up prompts on a tab are sent as turns of its conversation, so the
+  // server passes the earlier prompts and answers to the AI
+  const conversations = {}
+
+  // Shows the active tab's conversation above the prompt
+  const renderThread = () => {
+    const thread = $('#ai-prompt-thread')
+    const tab = RED.workspaces.active()
+    const conversation = conversations[tab]
+
+    thread.empty()
+
+    if (!conversation || conversation.turns.length === 0) {
+      thread.hide()
+
+      return
+    }
+
+    const header = $('<div>', { class: 'ai-prompt-thread-header' })
+      .append($('<span>', { text: `Conversation · ${conversation.turns.length} turn${conversation.turns.length === 1 ? '' : 's'}` }))
+      .append($('<a>', { href: '#', text: 'New conversation' }).on('click', e => {
+        e.preventDefault()
+        delete conversations[tab]
+        renderThread()
+      }))
+    const list = $('<ol>', { class: 'ai-prompt-thread-turns' })
+
+    conversation.turns.forEach(turn => {
+      const { added, removed, modified } = turn.diff
+      const changes = `+${added.length} −${removed.length} ~${modified.length}`
+
+      list.append($('<li>')
+        .append($('<div>', { class: 'ai-prompt-thread-prompt', text: turn.prompt }))
+        .append($('<div>', {
+          class: 'ai-prompt-thread-meta',
+          text: turn.flowName ? `${turn.flowName} · ${changes}` : changes
+        })))
+    })
+
+    thread.append(header).append(list).show()
+    list.scrollTop(list.prop('scrollHeight'))
+  }
+
   const fetchAutoVerifySettings = async () => {
     try {
       const { data } = await apiRequest('GET', '/ai/auto-verify/settings')
@@ -694,7 +863,8 @@
     promptId,
     initialFlow,
     targetTab,
-    responseArea
+    responseArea,
+    signal
   }) => {
     const {
       maxAttempts,
@@ -709,7 +879,8 @@
     let currFlow = initialFlow
     let restartNumber = 1
     let attemptInRestart = 0
-    let terminal = null // null while running; 'success' | 'exhausted' | 'aborted'
+    let terminal = null // null while running; 'success' | 'exhausted' | 'aborted' | 'cancelled'
+    const cancelled = () => !!(signal && signal.aborted)
 
     const attemptCount = () => entries.filter(e => (e.kind || 'attempt') === 'attempt').length
 
@@ -734,6 +905,8 @@
           : `Resolved in ${total} attempt${total === 1 ? '' : 's'}`
 
         entries.push({ kind: 'terminal', outcome: 'success', text })
+      } else if (terminal === 'cancelled') {
+        entries.push({ kind: 'terminal', outcome: 'unresolved', text: 'Auto-verify cancelled' })
       } else {
         entries.push({ kind: 'terminal', outcome: 'unresolved', text: TERMINAL_FAILURE_MSG })
       }
@@ -766,7 +939,8 @@
             errorSignature: sig,
             attemptNumber: attempt.number + 1,
             phase
-          }
+          },
+          { signal }
         )
 
         if (data && data.success && Array.isArray(data.flow) && data.flow.length > 0) {
@@ -780,7 +954,9 @@
         attempt.outcomeText += '; AI returned no correction'
         render()
       } catch (err) {
-        attempt.outcomeText += `; correction request failed (${err.message || 'error'})`
+        attempt.outcomeText += err.name === 'AbortError'
+          ? '; cancelled'
+          : `; correction request failed (${err.message || 'error'})`
         render()
       }
 
@@ -792,7 +968,7 @@
     // converge. Returns true if the new flow was applied to the editor.
     const regenerateFromScratch = async () => {
       try {
-        const { data } = await apiRequest('POST', '/ai/build-flow', { prompt })
+        const { data } = await apiRequest('POST', '/ai/build-flow', { prompt }, { signal })
 
         if (data && data.success && Array.isArray(data.flow) && data.flow.length > 0) {
           prevFlow = currFlow
@@ -828,9 +1004,13 @@
     //   'success'   — clean syntax + clean runtime
     //   'exhausted' — hit maxAttempts without success
     //   'converged' — same error signature repeated
-    //   'aborted'   — AI/network failure mid-correction
+    //   'aborted'   — AI/network failure mid-correction, or cancelled
     const runAttemptsForRestart = async () => {
       for (let i = 1; i <= maxAttempts; i += 1) {
+        if (cancelled()) {
+          return 'aborted'
+        }
+
         attemptInRestart = i
         const attemptStart = Date.now()
         const isFirstAttemptOfFirstRestart = restartNumber === 1 && i === 1
@@ -1000,6 +1180,8 @@
       let outcome
       if (terminal === 'success') {
         outcome = 'resolved'
+      } else if (terminal === 'cancelled') {
+        outcome = 'cancelled'
       } else if (resampleTriggered) {
         outcome = 'unresolved_after_resample'
       } else if (lastInnerStatus === 'converged') {
@@ -1034,7 +1216,7 @@
         const regenerated = await regenerateFromScratch()
 
         if (!regenerated) {
-          terminal = 'aborted'
+          terminal = cancelled() ? 'cancelled' : 'aborted'
           pushTerminalEntry()
           emitComplete()
 
@@ -1056,7 +1238,7 @@
       }
 
       if (status === 'aborted') {
-        terminal = 'aborted'
+        terminal = cancelled() ? 'cancelled' : 'aborted'
         pushTerminalEntry()
         emitComplete()
 
@@ -1079,7 +1261,219 @@
     emitComplete()
   }
 
-  function handlePromptSubmit() {
+  // Clarifying questions from /ai/build-flow as a small form in the response
+  // area. "Build" calls resubmit(answers), "Skip" calls resubmit([])
+  const renderQuestions = (responseArea, questions, resubmit) => {
+    const form = $('<form>', { class: 'ai-clarify-form' })
+    const fields = questions.map(entry => {
+      const field = entry.choices
+        ? $('<select>').append(entry.choices.map(choice => $('<option>', { value: choice, text: choice })))
+        : $('<input>', { type: 'text' })
+
+      field.val(entry.default || (entry.choices ? entry.choices[0] : ''))
+      form.append($('<label>').append($('<span>', { text: entry.question })).append(field))
+
+      return field
+    })
+    const answers = () => questions.map((entry, i) => ({
+      id: entry.id,
+      question: entry.question,
+      answer: String(fields[i].val() || '')
+    }))
+
+    form
+      .prepend($('<div>', { class: 'ai-clarify-intro', text: 'A few details before building this flow:' }))
+      .append($('<div>', { class: 'ai-clarify-buttons' })
+        .append($('<button>', { type: 'button', class: 'red-ui-button', text: 'Skip' })
+          .on('click', () => resubmit([])))
+        .append($('<button>', { type: 'submit', class: 'red-ui-button primary', text: 'Build' })))
+      .on('submit', e => {
+        e.preventDefault()
+        resubmit(answers())
+      })
+
+    responseArea.empty().append(form).show()
+    RED.notify('The AI has a few questions before building', 'compact')
+  }
+
+  // A plan from /ai/plan-flow as an editable form in the response area. Each
+  // list (stages, external systems, config nodes) is a set of removable rows;
+  // "Build flow" calls approve(plan) with the edited plan
+  const renderPlan = (responseArea, plan, approve) => {
+    const form = $('<form>', { class: 'ai-plan-form' })
+    const title = $('<input>', { type: 'text', placeholder: 'Title' }).val(plan.title || '')
+    const summary = $('<textarea>', { rows: 2, placeholder: 'Summary' }).val(plan.summary || '')
+
+    // fields: [{ key, placeholder, multiline, list }]; list fields are edited
+    // as comma separated text
+    const planList = (heading, fields, entries, addLabel) => {
+      const rows = $('<div>', { class: 'ai-plan-rows' })
+      const addRow = (entry = {}) => {
+        const row = $('<div>', { class: 'ai-plan-row' })
+
+        fields.forEach(field => {
+          const value = field.list ? (entry[field.key] || []).join(', ') : entry[field.key] || ''
+
+          row.append((field.multiline ? $('<textarea>', { rows: 2 }) : $('<input>', { type: 'text' }))
+            .attr({ placeholder: field.placeholder, 'data-key': field.key })
+            .val(value))
+        })
+        row.append($('<button>', { type: 'button', class: 'red-ui-button ai-plan-remove', title: 'Remove' })
+          .append($('<i>', { class: 'fa fa-times' }))
+          .on('click', () => row.remove()))
+        rows.append(row)
+      }
+      const read = () => rows.children().toArray().map(row => fields.reduce((acc, field) => {
+        const value = String($(row).find(`[data-key="${field.key}"]`).val() || '').trim()
+
+        acc[field.key] = field.list
+          ? value.split(',').map(item => item.trim()).filter(Boolean)
+          : value
+
+        return acc
+      }, {}))
+
+      entries.forEach(entry => addRow(entry))
+      form.append($('<div>', { class: 'ai-plan-section' })
+        .append($('<div>', { class: 'ai-plan-heading', text: heading }))
+        .append(rows)
+        .append($('<button>', { type: 'button', class: 'red-ui-button ai-plan-add', text: addLabel })
+          .on('click', () => addRow())))
+
+      return read
+    }
+
+    form
+      .append($('<div>', { class: 'ai-plan-intro', text: 'Review the plan and edit it if needed. The flow is built once you approve it.' }))
+      .append(title)
+      .append(summary)
+
+    const readStages = planList('Stages', [
+      { key: 'name', placeholder: 'Stage' },
+      { key: 'description', placeholder: 'What happens in this stage', multiline: true },
+      { key: 'nodeTypes', placeholder: 'Node types, comma separated', list: true }
+    ], plan.stages || [], 'Add stage')
+    const readSystems = planList('External systems', [
+      { key: 'name', placeholder: 'System' },
+      { key: 'purpose', placeholder: 'Used for' }
+    ], plan.externalSystems || [], 'Add system')
+    const readConfigNodes = planList('Config nodes', [
+      { key: 'type', placeholder: 'Config node type' },
+      { key: 'purpose', placeholder: 'Used for' }
+    ], plan.configNodes || [], 'Add config node')
+
+    form
+      .append($('<div>', { class: 'ai-plan-buttons' })
+        .append($('<button>', { type: 'button', class: 'red-ui-button', text: 'Discard' })
+          .on('click', () => responseArea.empty().hide()))
+        .append($('<button>', { type: 'submit', class: 'red-ui-button primary', text: 'Build flow' })))
+      .on('submit', e => {
+        e.preventDefault()
+
+        const stages = readStages().filter(stage => stage.name)
+
+        if (stages.length === 0) {
+          RED.notify('The plan needs at least one named stage', 'warning')
+
+          return
+        }
+
+        approve({
+          title: String(title.val() || '').trim(),
+          summary: String(summary.val() || '').trim(),
+          stages,
+          externalSystems: readSystems().filter(entry => entry.name),
+          configNodes: readConfigNodes().filter(entry => entry.type)
+        })
+      })
+
+    responseArea.empty().append(form).show()
+  }
+
+  // Applies patch operations from /ai/build-flow (AI_FLOW_OUTPUT=patch, checked
+  // by the server against the tab) to the nodes of targetTab. Unlike the full
+  // flow merge, nodes no operation names are not touched at all
+  const applyPatch = (operations, targetTab) => {
+    const linkOutputs = (node, wires) => {
+      const linksToRemove = []
+
+      RED.nodes.eachLink(link => {
+        if (link.source && link.source.id === node.id) {
+          linksToRemove.push(link)
+        }
+      })
+
+      linksToRemove.forEach(link => RED.nodes.removeLink(link))
+      node.wires = wires.map(wireSet => [...wireSet])
+
+      wires.forEach((wireSet, portIndex) => {
+        wireSet.forEach(targetId => {
+          const targetNode = RED.nodes.node(targetId)
+
+          if (targetNode) {
+            RED.nodes.addLink({ source: node, sourcePort: portIndex, target: targetNode })
+          }
+        })
+      })
+    }
+    const changed = node => {
+      node.changed = true
+      node.dirty = true
+      RED.events.emit('nodes:change', node)
+    }
+    const added = operations
+      .filter(operation => operation.op === 'add')
+      .map(operation => ({ ...operation.node, z: targetTab }))
+
+    // Add first, so the other operations can wire to the new nodes
+    if (added.length > 0) {
+      RED.nodes.import(added)
+    }
+
+    added.forEach(newNode => {
+      const node = RED.nodes.node(newNode.id)
+
+      if (node) {
+        linkOutputs(node, newNode.wires || [])
+        changed(node)
+      }
+    })
+
+    operations
+      .filter(operation => operation.op !== 'add' && RED.nodes.node(operation.id))
+      .forEach(operation => {
+        const node = RED.nodes.node(operation.id)
+
+        if (operation.op === 'remove') {
+          console.log('[ai-flow-builder] Removing node:', operation.id)
+          RED.nodes.remove(operation.id)
+        } else if (operation.op === 'rewire') {
+          linkOutputs(node, operation.wires)
+          changed(node)
+        } else {
+          const { fields } = operation
+
+          Object.keys(fields).filter(key => key !== 'wires').forEach(key => {
+            if (fields[key] === null) {
+              delete node[key]
+            } else {
+              node[key] = fields[key]
+            }
+          })
+
+          if ('wires' in fields) {
+            linkOutputs(node, fields.wires || [])
+          }
+
+          changed(node)
+        }
+      })
+  }
+
+  // clarifications are the answers to the questions of the previous attempt
+  // (renderQuestions); without them the AI may ask questions instead of building.
+  // plan is a plan the user approved (renderPlan); the flow is built from it
+  function handlePromptSubmit(clarifications, plan) {
     const promptArea = $('#ai-prompt-input')
     const responseArea = $('#ai-prompt-response')
     const submitBtn = $('.red-ui-button.send-prompt')
@@ -1112,22 +1506,55 @@
     const createIntent = /\b(create|build|make|generate|new)\b/i.test(prompt)
     const updateIntent = /\b(add|update|modify|change|append|insert)\b/i.test(prompt)
     const shouldCreateNewTab = createIntent && !updateIntent
+    // A new tab starts a new conversation; anything else continues the tab's
+    const conversation = shouldCreateNewTab ? null : conversations[currentTab]
 
-    // Call AI service via jQuery (Node-RED ships jQuery in the editor)
-    apiRequest(
-      'POST',
-      '/ai/build-flow',
+    const cancelBtn = $('.red-ui-button.cancel-prompt')
+    const showProgress = (name, progress) => {
+      if (name !== 'progress') {
+        return
+      }
+
+      const nodes = `${progress.nodeCount} node${progress.nodeCount === 1 ? '' : 's'} so far`
+      const flowName = progress.flowName ? ` for "${progress.flowName}"` : ''
+      // large flows are built one stage at a time
+      const stage = progress.stage ? ` Stage ${progress.stage} of ${progress.stages},` : ''
+
+      responseArea.text(`Building your flow...${stage} ${nodes}${flowName}\n`)
+    }
+
+    // one controller for the build and the auto-verify loop that follows it,
+    // so Cancel and Clear stop whichever request is running
+    activeBuild = typeof AbortController === 'function' ? new AbortController() : null
+
+    if (activeBuild) {
+      cancelBtn.show()
+    }
+
+    // Call AI service, streaming progress where supported
+    requestFlow(
       {
         prompt,
-        context: context.hasNodes && !shouldCreateNewTab ? context : undefined
-      }
+        context: context.hasNodes && !shouldCreateNewTab ? context : undefined,
+        conversation: { id: conversation ? conversation.id : null },
+        clarify: !clarifications && !plan,
+        clarifications,
+        plan
+      },
+      { onEvent: showProgress, signal: activeBuild && activeBuild.signal }
     ).then(({ data }) => {
       if (!data.success) {
         throw new Error(data.error || 'Failed to generate flow')
       }
 
-      // Import the AI-generated flow
-      if (data.flow && data.flow.length > 0) {
+      if (Array.isArray(data.questions) && data.questions.length > 0) {
+        renderQuestions(responseArea, data.questions, answers => handlePromptSubmit(answers, plan))
+
+        return
+      }
+
+      // Import the AI-generated flow. A patch may leave the tab empty
+      if (data.flow && (data.flow.length > 0 || Array.isArray(data.patch))) {
         let targetTab = RED.workspaces.active()
         const newTabId = RED.nodes.id()
 
@@ -1162,6 +1589,13 @@
           RED.view.redraw(true)
           // Mark flow as modified
           RED.nodes.dirty(true)
+        } else if (Array.isArray(data.patch)) {
+          applyPatch(data.patch, targetTab)
+          RED.nodes.dirty(true)
+
+          setTimeout(() => {
+            RED.view.redraw(true)
+          }, 100)
         } else {
           // Smart merge: Update existing nodes, add new ones, remove orphaned ones
           // Build map of existing nodes in current tab
@@ -1304,6 +1738,23 @@
         // Mark flow as modified
         RED.nodes.dirty(true)
 
+        // The server starts a new conversation when it no longer knows ours
+        if (data.conversation) {
+          const earlier = conversation && conversation.id === data.conversation.id
+            ? conversation.turns
+            : []
+
+          conversations[targetTab] = {
+            id: data.conversation.id,
+            turns: earlier.concat({
+              prompt,
+              flowName: data.flowName || '',
+              diff: data.conversation.diff
+            })
+          }
+          renderThread()
+        }
+
         // Auto-verify: run the self-correction loop if the toggle is on.
         // Return the promise so the outer .finally() waits for it before
         // re-enabling the Build Flow button. The verify loop owns the
@@ -1322,14 +1773,21 @@
             initialFlow: data.flow,
             targetTab,
             responseArea,
-            context
+            context,
+            signal: activeBuild && activeBuild.signal
           }).catch(err => {
             console.error('[ai-flow-builder] auto-verify loop error', err)
           })
         }
 
         // No auto-verify — show the legacy summary message.
-        let successMsg = `Flow ${shouldCreateNewTab ? 'created' : 'updated'} successfully! Generated ${data.flow.length} nodes`
+        let successMsg = Array.isArray(data.patch)
+          ? `Flow updated successfully! Applied ${data.patch.length} changes`
+          : `Flow ${shouldCreateNewTab ? 'created' : 'updated'} successfully! Generated ${data.flow.length} nodes`
+
+        if (Array.isArray(data.fixes) && data.fixes.length > 0) {
+          successMsg += `\nFixed ${data.fixes.length} mechanical mistakes in the answer`
+        }
 
         if (data.metadata) {
           if (data.metadata.usage) {
@@ -1339,6 +1797,18 @@
           if (data.metadata.citations && data.metadata.citations.length > 0) {
             successMsg += `\nUsed ${data.metadata.citations.length} documentation sources`
           }
+
+          if (data.metadata.hierarchical) {
+            successMsg += `\nBuilt in ${data.metadata.hierarchical.stages.length} stages`
+
+            data.metadata.hierarchical.warnings.forEach(warning => {
+              successMsg += `\n${warning}`
+            })
+          }
+
+          if (data.metadata.contextReduced) {
+            successMsg += "\nThe flow context was reduced to fit the model's context window"
+          }
         }
 
         responseArea.append(successMsg).show()
@@ -1347,6 +1817,13 @@
         RED.notify('No nodes generated', 'warning')
       }
     }).catch(err => {
+      if (err.name === 'AbortError') {
+        responseArea.text('Flow generation cancelled.').show()
+        RED.notify('Flow generation cancelled', 'warning')
+
+        return
+      }
+
       const errorDetail = err.response?.data?.error
       const statusText = err.response
         ? `HTTP ${err.response.status}: ${err.response.statusText || 'Request failed'}`
@@ -1357,9 +1834,88 @@
       RED.notify('Failed to build flow', 'error')
       console.error('[ai-flow-builder] Error:', err)
     }).finally(() => {
+      cancelBtn.hide()
+      activeBuild = null
+
       const hasContent = promptArea.val().trim().length > 0
       submitBtn.prop('disabled', !hasContent)
       submitBtn.removeClass('sent-prompt')
+      $('.red-ui-button.plan-prompt').prop('disabled', !hasContent)
+    })
+  }
+
+  // Plan-then-build: asks /ai/plan-flow for a plan and shows it for review
+  // (renderPlan). Nothing is generated until the user approves the plan
+  function handlePlanSubmit() {
+    const promptArea = $('#ai-prompt-input')
+    const responseArea = $('#ai-prompt-response')
+    const submitBtn = $('.red-ui-button.send-prompt')
+    const planBtn = $('.red-ui-button.plan-prompt')
+    const cancelBtn = $('.red-ui-button.cancel-prompt')
+    const prompt = promptArea.val().trim()
+
+    if (!prompt) {
+      RED.notify('Please enter a flow description', 'warning')
+      return
+    }
+
+    const currentTab = RED.workspaces.active()
+    const currentTabNodes = RED.nodes.createCompleteNodeSet().filter(
+      n => n.type !== 'tab' && n.type !== 'subflow' && n.z === currentTab
+    )
+    // Same intent detection as handlePromptSubmit: a new tab is planned from scratch
+    const createIntent = /\b(create|build|make|generate|new)\b/i.test(prompt)
+    const updateIntent = /\b(add|update|modify|change|append|insert)\b/i.test(prompt)
+    const shouldCreateNewTab = createIntent && !updateIntent
+
+    submitBtn.prop('disabled', true)
+    planBtn.prop('disabled', true)
+    responseArea.text('Planning your flow...').show()
+    activeBuild = typeof AbortController === 'function' ? new AbortController() : null
+
+    if (activeBuild) {
+      cancelBtn.show()
+    }
+
+    apiRequest(
+      'POST',
+      '/ai/plan-flow',
+      {
+        prompt,
+        context: currentTabNodes.length > 0 && !shouldCreateNewTab
+          ? { nodes: currentTabNodes, hasNodes: true }
+          : undefined
+      },
+      { signal: activeBuild && activeBuild.signal }
+    ).then(({ data }) => {
+      if (!data.success || !data.plan) {
+        throw new Error(data.error || 'Failed to plan flow')
+      }
+
+      renderPlan(responseArea, data.plan, approved => handlePromptSubmit(undefined, approved))
+    }).catch(err => {
+      if (err.name === 'AbortError') {
+        responseArea.text('Flow planning cancelled.').show()
+        RED.notify('Flow planning cancelled', 'warning')
+
+        return
+      }
+
+      const errorDetail = err.response?.data?.error
+      const statusText = err.response
+        ? `HTTP ${err.response.status}: ${err.response.statusText || 'Request failed'}`
+        : err.message
+
+      responseArea.text(`Error: ${errorDetail || statusText}`).show()
+      RED.notify('Failed to plan flow', 'error')
+      console.error('[ai-flow-builder] Plan error:', err)
+    }).finally(() => {
+      cancelBtn.hide()
+      activeBuild = null
+
+      const hasContent = promptArea.val().trim().length > 0
+      submitBtn.prop('disabled', !hasContent)
+      planBtn.prop('disabled', !hasContent)
     })
   }
 
@@ -1386,6 +1942,12 @@
       • Node details can be edited via tooltips
     `)
 
+    // Conversation of the active tab, filled by renderThread()
+    const thread = $('<div>', {
+      id: 'ai-prompt-thread',
+      class: 'ai-prompt-thread'
+    }).hide()
+
     // Add prompt textarea with flow-focused placeholder
     const promptArea = $('<textarea>', {
       id: 'ai-prompt-input',
@@ -1434,11 +1996,32 @@
       handlePromptSubmit()
     })
 
+    // Add "Plan First" button: plan-then-build, for large automations
+    const planBtn = $('<button>', {
+      class: 'red-ui-button plan-prompt',
+      text: 'Plan First',
+      title: 'Review and edit a plan before the flow is built',
+      disabled: true
+    }).on('click', () => {
+      handlePlanSubmit()
+    })
+
+    // Add "Cancel" button, shown only while a build or auto-verify is running
+    const cancelBtn = $('<button>', {
+      class: 'red-ui-button cancel-prompt',
+      text: 'Cancel'
+    }).hide().on('click', () => {
+      if (activeBuild) {
+        activeBuild.abort()
+      }
+    })
+
     // Enable/disable button based on textarea content
     promptArea.on('input', () => {
       const hasContent = promptArea.val().trim().length > 0
 
       submitBtn.prop('disabled', !hasContent)
+      planBtn.prop('disabled', !hasContent)
     })
 
     // Add "Clear" button
@@ -1446,15 +2029,21 @@
       class: 'red-ui-button',
       text: 'Clear'
     }).on('click', () => {
+      if (activeBuild) {
+        activeBuild.abort()
+      }
+
       promptArea.val('')
       responseArea.hide()
       submitBtn.prop('disabled', true)
+      planBtn.prop('disabled', true)
     })
 
     // Assemble the UI
-    buttonContainer.append(clearBtn).append(submitBtn)
+    buttonContainer.append(clearBtn).append(cancelBtn).append(planBtn).append(submitBtn)
     container
       .append(helpText)
+      .append(thread)
       .append(promptArea)
       .append(autoVerifyRow)
       .append(responseArea)
@@ -1538,6 +2127,8 @@
       configureSidebar()
     })
 
+    RED.events.on('workspace:change', renderThread)
+
     sidebarInitialized = true
     console.log('[ai-prompt-sidebar] Sidebar initialized')
   }
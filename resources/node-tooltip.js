@@ -246,6 +246,7 @@
 
   // Lightweight axios-shaped wrapper over jQuery's $.ajax (which Node-RED loads).
   // axios itself isn't loaded in the editor — see the same fix in ai-prompt-sidebar.js.
+  // opts.signal aborts the request, which then rejects with name AbortError.
   const httpClient = {
     post(path, body, opts = {}) {
       const config = {
@@ -261,21 +262,33 @@
       }
 
       return new Promise((resolve, reject) => {
-        $.ajax(config)
+        const request = $.ajax(config)
           .done(data => resolve({ data }))
           .fail((xhr, status, errText) => {
             const message = errText || status || 'request failed'
             const wrapped = new Error(message)
 
-            wrapped.response = {
-              status: xhr.status,
-              statusText: xhr.statusText || '',
-              data: xhr.responseJSON || xhr.responseText || '',
-              headers: { 'retry-after': xhr.getResponseHeader('Retry-After') }
+            if (status === 'abort') {
+              wrapped.name = 'AbortError'
+            } else {
+              wrapped.response = {
+                status: xhr.status,
+                statusText: xhr.statusText || '',
+                data: xhr.responseJSON || xhr.responseText || '',
+                headers: { 'retry-after': xhr.getResponseHeader('Retry-After') }
+              }
             }
 
             reject(wrapped)
           })
+
+        if (opts.signal) {
+          if (opts.signal.aborted) {
+            request.abort()
+          } else {
+            opts.signal.addEventListener('abort', () => request.abort(), { once: true })
+          }
+        }
       })
     }
   }
@@ -317,8 +330,25 @@
     throw new Error('Maximum retry attempts reached due to rate limiting')
   }
 
+  // AbortController per node id with a resync or description request in
+  // flight. Aborting drops the request; the server then aborts its AI call
+  const pendingSyncs = new Map()
+
+  function cancelNodeSync(nodeId) {
+    const controller = pendingSyncs.get(nodeId)
+
+    if (controller) {
+      controller.abort()
+    }
+  }
+
   async function resyncNodeWithAI(node, direction = 'info-to-logic') {
     const currentConfig = extractNodeConfig(node)
+    const controller = new AbortController()
+
+    // A newer edit supersedes the request still running for this node
+    cancelNodeSync(node.id)
+    pendingSyncs.set(node.id, controller)
 
     // Mark node as syncing (yellow dot)
     setNodeSyncStatus(node.id, true)
@@ -335,7 +365,7 @@
             info: node.info,
             currentConfig
           },
-          { headers: { 'Content-Type': 'application/json' } }
+          { headers: { 'Content-Type': 'application/json' }, signal: controller.signal }
         ))
 
         if (data.success && data.updatedNode) {
@@ -370,7 +400,7 @@
             nodeName: node.name,
             currentConfig
           },
-          { headers: { 'Content-Type': 'application/json' } }
+          { headers: { 'Content-Type': 'application/json' }, signal: controller.signal }
         ))
 
         if (!data.success) {
@@ -412,11 +442,19 @@
         console.log('[node-tooltip] Description generated successfully:', node.id)
       }
     } catch (error) {
-      console.error('[node-tooltip] Re-sync failed:', error)
-      RED.notify('Failed to sync node with AI', 'error')
+      if (error.name === 'AbortError') {
+        console.log('[node-tooltip] Re-sync cancelled:', node.id)
+      } else {
+        console.error('[node-tooltip] Re-sync failed:', error)
+        RED.notify('Failed to sync node with AI', 'error')
+      }
     } finally {
-      // Remove syncing status (remove yellow dot)
-      setNodeSyncStatus(node.id, false)
+      // Remove syncing status (remove yellow dot), unless a newer request
+      // for this node took over
+      if (pendingSyncs.get(node.id) === controller) {
+        pendingSyncs.delete(node.id)
+        setNodeSyncStatus(node.id, false)
+      }
     }
   }
 
@@ -757,6 +795,13 @@
           updateAllTooltips()
         })
 
+        // No point finishing an AI request for a node that is gone
+        RED.events.on('nodes:remove', node => {
+          if (node && node.id) {
+            cancelNodeSync(node.id)
+          }
+        })
+
         setTimeout(initializeTooltips, 1000)
       }
 
@@ -1,6 +1,7 @@
 const axios = require('axios')
 
 jest.mock('axios', () => ({
+  get: jest.fn(),
   post: jest.fn()
 }))
 
@@ -31,6 +32,22 @@ describe('AI connector helpers', () => {
   })
 
   describe('OpenAI connector', () => {
+    test('requests a json_schema response format unless disabled', () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/openai-connector-node')
+      const request = {
+        operation: 'flow',
+        systemPrompt: 'sys',
+        messages: [],
+        temperature: 0.7
+      }
+
+      expect(connector.buildRequestBody(connector.getConfig(), request).response_format.type).toBe('json_schema')
+
+      process.env.AI_STRUCTURED_OUTPUT = 'false'
+      expect(connector.buildRequestBody(connector.getConfig(), request).response_format).toEqual({ type: 'json_object' })
+    })
+
     test('handles token setting and flow truncation helpers', () => {
       // eslint-disable-next-line global-require
       const connector = require('../resources/ai-connectors/openai-connector-node')
@@ -51,6 +68,140 @@ describe('AI connector helpers', () => {
     })
   })
 
+  describe('OpenAI-compatible connector', () => {
+    test('requires base URL and model but not an API key', () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/openai-compatible-connector-node')
+      const invalid = connector.validateConfig({ baseUrl: '', model: '' })
+      expect(invalid.valid).toBe(false)
+      expect(invalid.errors[0]).toContain('baseUrl, model')
+
+      const valid = connector.validateConfig({ baseUrl: 'http://localhost:8000/v1', model: 'qwen' })
+      expect(valid.valid).toBe(true)
+    })
+
+    test('posts to the configured base URL and returns the flow', async () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/openai-compatible-connector-node')
+      // resetModules gives the connector a fresh axios mock - use that instance
+      // eslint-disable-next-line global-require
+      const connectorAxios = require('axios')
+      connectorAxios.post.mockResolvedValueOnce({
+        data: {
+          choices: [{ message: { content: '```json\n{"flowName":"Local","flow":[{"id":"n1"}]}\n```' } }],
+          usage: { total_tokens: 12 }
+        }
+      })
+
+      const result = await connector.generateFlow('do something', {}, {
+        baseUrl: 'http://localhost:8000/v1/',
+        apiKey: '',
+        model: 'qwen',
+        jsonMode: false,
+        maxTokens: 64
+      })
+
+      const [url, body, options] = connectorAxios.post.mock.calls[0]
+      expect(url).toBe('http://localhost:8000/v1/chat/completions')
+      expect(body.max_tokens).toBe(64)
+      expect(body.response_format).toBeUndefined()
+      expect(options.headers.Authorization).toBeUndefined()
+      expect(result.success).toBe(true)
+      expect(result.flowName).toBe('Local')
+      expect(result.flow).toHaveLength(1)
+      expect(result.metadata.model).toBe('qwen')
+    })
+  })
+
+  describe('Ollama connector', () => {
+    const ollamaConfig = {
+      baseUrl: 'http://localhost:11434',
+      model: 'llama3.1',
+      maxTokens: 256
+    }
+
+    test('validateConfig checks the model is pulled and caches the result', async () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/ollama-connector-node')
+      // eslint-disable-next-line global-require
+      const connectorAxios = require('axios')
+      connectorAxios.get.mockResolvedValueOnce({ data: { models: [{ name: 'llama3.1:latest' }] } })
+
+      const first = await connector.validateConfig(ollamaConfig)
+      const second = await connector.validateConfig(ollamaConfig)
+
+      expect(first.valid).toBe(true)
+      expect(second.valid).toBe(true)
+      expect(connectorAxios.get).toHaveBeenCalledTimes(1)
+      expect(connectorAxios.get.mock.calls[0][0]).toBe('http://localhost:11434/api/tags')
+    })
+
+    test('validateConfig reports a model that is not pulled', async () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/ollama-connector-node')
+      // eslint-disable-next-line global-require
+      const connectorAxios = require('axios')
+      connectorAxios.get.mockResolvedValueOnce({ data: { models: [{ name: 'mistral:latest' }] } })
+
+      const result = await connector.validateConfig(ollamaConfig)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0]).toContain('ollama pull llama3.1')
+    })
+
+    test('generateFlow uses /api/chat JSON mode and maps usage', async () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/ollama-connector-node')
+      // eslint-disable-next-line global-require
+      const connectorAxios = require('axios')
+      connectorAxios.post.mockResolvedValueOnce({
+        data: {
+          model: 'llama3.1',
+          message: { role: 'assistant', content: '{"flowName":"Local","flow":[{"id":"n1"}]}' },
+          done_reason: 'stop',
+          prompt_eval_count: 10,
+          eval_count: 5
+        }
+      })
+
+      const result = await connector.generateFlow('do something', {}, ollamaConfig)
+      const [url, body] = connectorAxios.post.mock.calls[0]
+
+      expect(url).toBe('http://localhost:11434/api/chat')
+      expect(body.format).toBe('json')
+      expect(body.stream).toBe(false)
+      expect(body.options.num_predict).toBe(256)
+      expect(body.options.num_ctx).toBe(8192)
+      expect(body.messages[0]).toEqual({
+        role: 'system',
+        content: connector.buildSystemPrompt({})
+      })
+      expect(result.success).toBe(true)
+      expect(result.flow).toHaveLength(1)
+      expect(result.metadata.usage.total_tokens).toBe(15)
+    })
+  })
+
+  describe('context windows', () => {
+    test('come from the model name unless AI_CONTEXT_WINDOW is set', () => {
+      // eslint-disable-next-line global-require
+      const openai = require('../resources/ai-connectors/openai-connector-node')
+      // eslint-disable-next-line global-require
+      const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+      // eslint-disable-next-line global-require
+      const anthropic = require('../resources/ai-connectors/anthropic-connector-node')
+
+      expect(openai.getContextWindow({ model: 'gpt-4o-mini' })).toBe(128000)
+      expect(openai.getContextWindow({ model: 'gpt-4-0613' })).toBe(8192)
+      expect(openai.getContextWindow({ model: 'gpt-4.1-mini' })).toBe(1047576)
+      expect(azure.getContextWindow({ deploymentName: 'gpt-4-32k-prod' })).toBe(32768)
+      expect(anthropic.getContextWindow({ model: 'claude-3-5-sonnet-20241022' })).toBe(200000)
+
+      process.env.AI_CONTEXT_WINDOW = '64000'
+      expect(openai.getContextWindow(openai.getConfig())).toBe(64000)
+    })
+  })
+
   describe('Azure OpenAI connector', () => {
     test('validates required config and applies max tokens', () => {
       // eslint-disable-next-line global-require
@@ -76,6 +227,39 @@ describe('AI connector helpers', () => {
       connector.addTokens(config, generationConfig)
       expect(generationConfig.maxOutputTokens).toBe(10)
     })
+
+    test('sends responseSchema for descriptions only', () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/google-connector-node')
+      const config = connector.getConfig()
+      const request = operation => ({
+        operation,
+        systemPrompt: 'sys',
+        messages: [{ role: 'user', content: 'hi' }],
+        temperature: 0.3
+      })
+
+      expect(connector.buildRequestBody(config, request('description')).generationConfig.responseSchema.type).toBe('OBJECT')
+      expect(connector.buildRequestBody(config, request('flow')).generationConfig.responseSchema).toBeUndefined()
+    })
+
+    test('streams from the SSE endpoint without a stream flag', () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/google-connector-node')
+      const config = { model: 'gemini-1.5-pro', apiKey: 'key' }
+      const body = connector.buildStreamRequestBody(config, {
+        systemPrompt: 'sys',
+        messages: [{ role: 'user', content: 'hi' }],
+        temperature: 0.7,
+        maxTokens: 100
+      })
+
+      expect(connector.getStreamEndpoint(config)).toContain(':streamGenerateContent?alt=sse&key=key')
+      expect(body.stream).toBeUndefined()
+      expect(connector.extractStreamText({
+        candidates: [{ content: { parts: [{ text: '{"flow"' }] } }]
+      })).toBe('{"flow"')
+    })
   })
 
   describe('Anthropic connector', () => {
@@ -89,5 +273,74 @@ describe('AI connector helpers', () => {
       const serialized = connector.serializeFlowContext([{ id: '1' }, { id: '2' }])
       expect(serialized).toContain('Flow truncated')
     })
+
+    test('resyncNode goes through the shared runtime', async () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/anthropic-connector-node')
+      // eslint-disable-next-line global-require
+      const connectorAxios = require('axios')
+      connectorAxios.post.mockResolvedValueOnce({
+        data: {
+          content: [{ type: 'text', text: '{"id":"n1","type":"change","name":"updated"}' }],
+          stop_reason: 'end_turn'
+        }
+      })
+
+      const result = await connector.resyncNode('n1', 'change', 'Add 1', { customNodes: [] })
+      const [url, body] = connectorAxios.post.mock.calls[0]
+
+      expect(url).toBe('https://api.anthropic.com/v1/messages')
+      expect(body.max_tokens).toBe(2000)
+      expect(result.success).toBe(true)
+      expect(result.updatedNode.name).toBe('updated')
+      expect(result.metadata.stopReason).toBe('end_turn')
+    })
+
+    test('forces a schema tool and reads the tool input as the answer', async () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/anthropic-connector-node')
+      // eslint-disable-next-line global-require
+      const connectorAxios = require('axios')
+      connectorAxios.post.mockResolvedValueOnce({
+        data: {
+          content: [{ type: 'tool_use', name: 'node_description', input: { name: '⧫ Add', description: 'Add 1' } }],
+          stop_reason: 'tool_use'
+        }
+      })
+
+      const result = await connector.generateDescription('n1', 'change', {}, false, '')
+      const [, body] = connectorAxios.post.mock.calls[0]
+
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'node_description' })
+      expect(body.tools[0].input_schema.required).toEqual(['name', 'description'])
+      expect(result.success).toBe(true)
+      expect(result.description).toBe('Add 1')
+    })
+
+    test('detects max_tokens truncation, streamed or not', () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/anthropic-connector-node')
+
+      expect(connector.isTruncated({ stop_reason: 'max_tokens' })).toBe(true)
+      expect(connector.isTruncated({ type: 'message_stop', delta: { stop_reason: 'max_tokens' } })).toBe(true)
+      expect(connector.isTruncated({ stop_reason: 'end_turn' })).toBe(false)
+      expect(connector.canContinue({ structuredOutput: true })).toBe(false)
+    })
+
+    test('reads text only from content_block_delta stream events', () => {
+      // eslint-disable-next-line global-require
+      const connector = require('../resources/ai-connectors/anthropic-connector-node')
+
+      expect(connector.supportsStreaming()).toBe(true)
+      expect(connector.extractStreamText({
+        type: 'content_block_delta',
+        delta: { type: 'text_delta', text: '{"flow"' }
+      })).toBe('{"flow"')
+      expect(connector.extractStreamText({ type: 'message_start', message: {} })).toBe('')
+      expect(connector.extractStreamText({
+        type: 'content_block_delta',
+        delta: { type: 'input_json_delta', partial_json: '{"name"' }
+      })).toBe('{"name"')
+    })
   })
 })
@@ -1,3 +1,7 @@
+jest.mock('axios', () => ({
+  post: jest.fn()
+}))
+
 describe('base connector contract', () => {
   test('throws for unimplemented methods', () => {
     // eslint-disable-next-line global-require
@@ -8,3 +12,710 @@ describe('base connector contract', () => {
     expect(base.name).toBe('base')
   })
 })
+
+describe('base connector shared runtime', () => {
+  let axios
+  let base
+  let connector
+
+  beforeEach(() => {
+    jest.resetModules()
+    // eslint-disable-next-line global-require
+    axios = require('axios')
+    // eslint-disable-next-line global-require
+    base = require('../resources/ai-connectors/base-connector')
+    connector = {
+      ...base,
+      name: 'test',
+      getConfig: () => ({ model: 'test-model', maxFlowContextChars: 18000 }),
+      validateConfig: config => base.validateRequired(config, ['model']),
+      getEndpoint: () => 'https://example.com/chat',
+      buildRequestBody: jest.fn((config, request) => ({ model: config.model, ...request })),
+      extractText: data => data.text
+    }
+  })
+
+  test('parseJson strips code fences and reports invalid JSON', () => {
+    expect(base.parseJson('```json\n{"a":1}\n```').parsed).toEqual({ a: 1 })
+
+    const invalid = base.parseJson('not json')
+    expect(invalid.success).toBe(false)
+    expect(invalid.error).toBe('AI returned invalid JSON. Response preview: not json')
+  })
+
+  test('describeError maps provider, HTTP and network failures', () => {
+    const config = {}
+
+    expect(base.describeError({ response: { status: 400, data: { error: { message: 'bad' } } } }, config, 'x'))
+      .toBe('bad')
+    expect(base.describeError({ response: { status: 404, data: { error: 'model not found' } } }, config, 'x'))
+      .toBe('model not found')
+    expect(base.describeError({ response: { status: 503 } }, config, 'x')).toBe('HTTP 503')
+    expect(base.describeError({ request: {} }, config, 'x'))
+      .toBe('No response from server - check network connection')
+  })
+
+  test('generateFlow sends one request built by the provider', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { text: '```json\n{"flowName":"Demo","flow":[{"id":"n1"}]}\n```', usage: { total_tokens: 3 } }
+    })
+
+    const result = await connector.generateFlow('do something', {})
+    const request = connector.buildRequestBody.mock.calls[0][1]
+
+    expect(request.operation).toBe('flow')
+    expect(request.temperature).toBe(0.7)
+    expect(request.messages).toEqual([{ role: 'user', content: expect.stringContaining('do something') }])
+    expect(axios.post.mock.calls[0][0]).toBe('https://example.com/chat')
+    expect(result).toEqual({
+      success: true,
+      flow: [{ id: 'n1' }],
+      flowName: 'Demo',
+      error: '',
+      metadata: { usage: { total_tokens: 3 }, model: 'test-model', tokenBudget: expect.any(Object) }
+    })
+  })
+
+  test('resyncNode fills the node update prompt through the shared path', async () => {
+    axios.post.mockResolvedValueOnce({ data: { text: '{"id":"n1","name":"updated"}' } })
+
+    const result = await connector.resyncNode('n1', 'change', 'Add 1', { customNodes: [] }, false, 'node')
+    const request = connector.buildRequestBody.mock.calls[0][1]
+
+    expect(request.operation).toBe('node')
+    expect(request.messages[0].content).not.toContain('{CUSTOM_NODES}')
+    expect(result.success).toBe(true)
+    expect(result.updatedNode).toEqual({ id: 'n1', name: 'updated' })
+  })
+
+  test('serves repeated resync and description requests from the cache', async () => {
+    // eslint-disable-next-line global-require
+    const getEnv = require('../resources/config-loader')
+
+    getEnv.setSettings({ AI_CACHE: 'memory' })
+
+    try {
+      axios.post
+        .mockResolvedValueOnce({ data: { text: '{"id":"n1","name":"updated"}', model: 'test-model' } })
+        .mockResolvedValueOnce({ data: { text: '{"name":"Add","description":""}' } })
+        .mockResolvedValueOnce({ data: { text: '{"name":"Add","description":"Adds one"}' } })
+
+      const first = await connector.resyncNode('n1', 'change', 'Add 1', { customNodes: [] }, false, 'node')
+      const second = await connector.resyncNode('n1', 'change', 'Add 1', { customNodes: [] }, false, 'node')
+      const rejected = await connector.generateDescription('n1', 'change', {}, false, '')
+      const described = await connector.generateDescription('n1', 'change', {}, false, '')
+
+      expect(axios.post).toHaveBeenCalledTimes(3)
+      expect(first.metadata.cache).toEqual({ hit: false })
+      expect(second.updatedNode).toEqual({ id: 'n1', name: 'updated' })
+      expect(second.metadata).toEqual({ model: 'test-model', cache: { hit: true, ageMs: expect.any(Number) } })
+      expect(rejected.success).toBe(false)
+      expect(described.metadata.cache).toEqual({ hit: false })
+    } finally {
+      getEnv.setSettings(null)
+    }
+  })
+
+  test('generateDescription rejects answers without name or description', async () => {
+    axios.post.mockResolvedValueOnce({ data: { text: '{"name":"⧫ Add"}' } })
+
+    const result = await connector.generateDescription('n1', 'change', {}, false, '')
+
+    expect(result.success).toBe(false)
+    expect(result.error).toContain('AI response missing name or description')
+  })
+
+  test('returns the mapped error when the request fails', async () => {
+    // eslint-disable-next-line global-require
+    const RetryPolicy = require('../resources/ai-connectors/retry-policy')
+
+    jest.spyOn(RetryPolicy, 'sleep').mockResolvedValue()
+    axios.post.mockRejectedValue({ response: { status: 500, data: {} } })
+
+    const result = await connector.generateFlow('do something', {})
+
+    expect(axios.post).toHaveBeenCalledTimes(3)
+    expect(result.success).toBe(false)
+    expect(result.error).toBe('HTTP 500')
+    expect(result.errorCode).toBe('server_error')
+  })
+
+  test('does not retry a bad request', async () => {
+    axios.post.mockRejectedValueOnce({ response: { status: 400, data: { error: { message: 'bad' } } } })
+
+    const result = await connector.generateFlow('do something', {})
+
+    expect(axios.post).toHaveBeenCalledTimes(1)
+    expect(result.error).toBe('bad')
+  })
+
+  test('records retries in metadata', async () => {
+    // eslint-disable-next-line global-require
+    const RetryPolicy = require('../resources/ai-connectors/retry-policy')
+
+    jest.spyOn(RetryPolicy, 'sleep').mockResolvedValue()
+    axios.post
+      .mockRejectedValueOnce({ response: { status: 429, headers: { 'retry-after': '2' }, data: {} } })
+      .mockResolvedValueOnce({ data: { text: '{"flow":[]}' } })
+
+    const result = await connector.generateFlow('do something', {})
+
+    expect(RetryPolicy.sleep).toHaveBeenCalledWith(2000, undefined)
+    expect(result.success).toBe(true)
+    expect(result.metadata.retries).toBe(1)
+  })
+
+  test('passes the abort signal to the provider request and reports a cancel', async () => {
+    const controller = new AbortController()
+
+    axios.post.mockImplementationOnce(async (url, body, options) => {
+      controller.abort()
+      expect(options.signal.aborted).toBe(true)
+
+      throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', request: {} })
+    })
+
+    const result = await connector.resyncNode('n1', 'change', 'Add 1', {}, false, 'node', {
+      signal: controller.signal
+    })
+
+    expect(axios.post).toHaveBeenCalledTimes(1)
+    expect(axios.post.mock.calls[0][2].signal).toBe(controller.signal)
+    expect(result.success).toBe(false)
+    expect(result.error).toBe('Request cancelled')
+    expect(result.errorCode).toBe('cancelled')
+  })
+
+  test('does not retry or shrink the context after a cancel', async () => {
+    const controller = new AbortController()
+    const nodes = Array.from({ length: 5 }, (v, i) => ({ id: `n${i}`, type: 'debug' }))
+
+    controller.abort()
+    axios.post.mockRejectedValue(Object.assign(new Error('canceled'), { name: 'CanceledError' }))
+
+    const result = await connector.generateFlow('do something', { nodes }, undefined, {
+      signal: controller.signal
+    })
+
+    expect(axios.post).toHaveBeenCalledTimes(1)
+    expect(result.errorCode).toBe('cancelled')
+    expect(result.metadata.contextReduced).toBeUndefined()
+  })
+
+  test('classifyError maps outages to failover codes', () => {
+    expect(base.classifyError({ response: { status: 429 } })).toBe('rate_limited')
+    expect(base.classifyError({ response: { status: 503 } })).toBe('server_error')
+    expect(base.classifyError({ code: 'ECONNABORTED' })).toBe('timeout')
+    expect(base.classifyError({ request: {} })).toBe('network')
+    expect(base.classifyError({ response: { status: 400 } })).toBe('request_failed')
+  })
+
+  test('generateFlow reports the token budget per prompt section', async () => {
+    const nodes = Array.from({ length: 300 }, (v, i) => ({ id: `n${i}`, type: 'function', func: 'x'.repeat(100) }))
+    const customNodes = Array.from({ length: 500 }, (v, i) => ({ name: `custom-${i}`, fields: ['a', 'b', 'c'] }))
+
+    connector.getConfig = () => ({ model: 'test-model', contextWindow: 16000 })
+    axios.post.mockResolvedValueOnce({ data: { text: '{"flowName":"Demo","flow":[]}' } })
+
+    const result = await connector.generateFlow('use custom-7', { nodes, customNodes })
+    const budget = result.metadata.tokenBudget
+    const request = connector.buildRequestBody.mock.calls[0][1]
+
+    expect(budget.contextWindow).toBe(16000)
+    expect(budget.reservedOutput).toBe(4000)
+    expect(budget.total).toBeLessThanOrEqual(budget.available)
+    expect(budget.sections.flowContext).toBeGreaterThan(0)
+    expect(budget.sections.customNodes).toBeGreaterThan(0)
+    expect(budget.customNodesKept).toBeLessThan(500)
+    expect(request.systemPrompt).toContain('"custom-7"')
+    expect(request.messages[0].content).toContain('Flow truncated for context')
+  })
+
+  test('generateFlow sends conversation history ahead of the prompt', async () => {
+    const history = [
+      { role: 'user', content: 'report every day at 7am' },
+      { role: 'assistant', content: '{"flowName":"Report","flow":[]}' }
+    ]
+
+    axios.post.mockResolvedValueOnce({ data: { text: '{"flowName":"Report","flow":[]}' } })
+
+    const result = await connector.generateFlow('now make it 8am', {}, undefined, { history })
+    const { messages } = connector.buildRequestBody.mock.calls[0][1]
+
+    expect(messages.slice(0, 2)).toEqual(history)
+    expect(messages[2]).toEqual({ role: 'user', content: expect.stringContaining('now make it 8am') })
+    expect(result.metadata.tokenBudget.sections.history).toBeGreaterThan(0)
+    expect(result.metadata.tokenBudget.historyTurnsKept).toBe(1)
+  })
+
+  test('generateFlow sends the temperature of a candidate', async () => {
+    axios.post.mockResolvedValueOnce({ data: { text: '{"flowName":"Demo","flow":[]}' } })
+
+    await connector.generateFlow('do something', {}, undefined, { temperature: 0.2 })
+
+    expect(connector.buildRequestBody.mock.calls[0][1].temperature).toBe(0.2)
+  })
+
+  test('generateFlow reports the temperature only when the provider sends it', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { text: '{"flowName":"Demo","flow":[]}' } })
+      .mockResolvedValueOnce({ data: { text: '{"flowName":"Demo","flow":[]}' } })
+
+    const sent = await connector.generateFlow('do something', {}, undefined, { temperature: 0.2 })
+    const dropped = await { ...connector, sendsTemperature: false }
+      .generateFlow('do something', {}, undefined, { temperature: 0.2 })
+
+    expect(sent.metadata.temperature).toBe(0.2)
+    expect(dropped.metadata.temperature).toBeUndefined()
+  })
+
+  test('generateFlow returns clarifying questions when they are allowed', async () => {
+    const answer = JSON.stringify({
+      flowName: '',
+      flow: [],
+      questions: [
+        { id: 'mail_node', question: 'Which mail node?', choices: ['email', 'sendgrid', 3] },
+        { question: 'Which timezone?', default: 'UTC' },
+        { id: 'empty', question: ' ' },
+        { id: 'extra', question: 'One too many?' }
+      ]
+    })
+
+    axios.post
+      .mockResolvedValueOnce({ data: { text: answer } })
+      .mockResolvedValueOnce({ data: { text: answer } })
+
+    const asked = await connector.generateFlow('send a daily report', { maxQuestions: 2 })
+    const notAllowed = await connector.generateFlow('send a daily report', {})
+
+    expect(connector.buildRequestBody.mock.calls[0][1].systemPrompt).toContain('up to 2 clarifying questions')
+    expect(connector.buildRequestBody.mock.calls[1][1].systemPrompt).not.toContain('CLARIFYING QUESTIONS')
+    expect(asked.success).toBe(true)
+    expect(asked.questions).toEqual([
+      { id: 'mail_node', question: 'Which mail node?', choices: ['email', 'sendgrid'] },
+      { id: 'q2', question: 'Which timezone?', default: 'UTC' }
+    ])
+    expect(notAllowed.questions).toBeUndefined()
+  })
+
+  test('appends answers to clarifying questions to the prompt', () => {
+    // eslint-disable-next-line global-require
+    const ConnectorUtils = require('../resources/ai-connectors/connector-utils')
+    const prompt = ConnectorUtils.withAnswers('send a daily report', [
+      { id: 'tz', question: 'Which timezone?', answer: 'Europe/Berlin' },
+      { id: 'to', question: 'Who gets it?', answer: '' }
+    ])
+
+    expect(prompt).toMatch(/^send a daily report\n\nANSWERS TO YOUR CLARIFYING QUESTIONS\n/)
+    expect(prompt).toContain('- Which timezone?\n  Europe/Berlin\n- Who gets it?\n  (no answer)')
+    expect(ConnectorUtils.withAnswers('send a daily report', [])).toBe('send a daily report')
+  })
+
+  test('planFlow returns the plan for review', async () => {
+    const plan = {
+      title: 'Daily report',
+      summary: 'Mail closed tickets per agent',
+      stages: [
+        { name: 'Trigger', description: 'Every day at 7am', nodeTypes: ['inject'] },
+        { name: '', description: 'dropped', nodeTypes: [] }
+      ],
+      externalSystems: [{ name: 'Zendesk', purpose: 'tickets' }],
+      configNodes: []
+    }
+
+    axios.post
+      .mockResolvedValueOnce({ data: { text: JSON.stringify(plan) } })
+      .mockResolvedValueOnce({ data: { text: '{"flowName":"Report","flow":[]}' } })
+
+    const result = await connector.planFlow('daily report', { nodes: [{ id: 'a', type: 'inject', name: '7am' }] })
+    const notAPlan = await connector.planFlow('daily report', {})
+    const [, request] = connector.buildRequestBody.mock.calls[0]
+
+    expect(request.operation).toBe('plan')
+    expect(request.systemPrompt).toContain('PLANNING MODE')
+    expect(request.messages[0].content).toContain('- inject "7am"')
+    expect(result.success).toBe(true)
+    expect(result.plan.stages).toEqual([
+      { name: 'Trigger', description: 'Every day at 7am', nodeTypes: ['inject'] }
+    ])
+    expect(notAPlan.success).toBe(false)
+    expect(notAPlan.errorCode).toBe('invalid_response')
+  })
+
+  test('appends an approved plan to the prompt', () => {
+    // eslint-disable-next-line global-require
+    const ConnectorUtils = require('../resources/ai-connectors/connector-utils')
+    const prompt = ConnectorUtils.withPlan('daily report', {
+      title: 'Daily report',
+      stages: [
+        { name: 'Trigger', description: 'Every day at 7am', nodeTypes: ['inject'] },
+        { name: 'Deliver', nodeTypes: [] }
+      ],
+      configNodes: [{ type: 'e-mail', purpose: 'SMTP server' }]
+    })
+
+    expect(prompt).toMatch(/^daily report\n\nAPPROVED PLAN\nTitle: Daily report\nStages:\n/)
+    expect(prompt).toContain('1. Trigger - Every day at 7am\n   Node types: inject\n2. Deliver\n')
+    expect(prompt).toContain('Config nodes:\n- e-mail: SMTP server')
+    expect(prompt).not.toContain('External systems')
+    expect(ConnectorUtils.withPlan('daily report', { stages: [] })).toBe('daily report')
+  })
+
+  test('generateFlow applies a patch answer to the existing flow', async () => {
+    const nodes = [
+      { id: 'a', type: 'inject', wires: [['b']] },
+      { id: 'b', type: 'debug', wires: [] }
+    ]
+
+    axios.post.mockResolvedValueOnce({
+      data: {
+        text: JSON.stringify({
+          flowName: 'Report',
+          patch: [{ op: 'update', id: 'a', fields: { crontab: '00 08 * * *' } }]
+        })
+      }
+    })
+
+    const result = await connector.generateFlow('make it 8am', { nodes, outputMode: 'patch' })
+    const [, request] = connector.buildRequestBody.mock.calls[0]
+
+    expect(request.operation).toBe('patch')
+    expect(request.messages[0].content).toContain('Return only the operations that change it')
+    expect(result.success).toBe(true)
+    expect(result.flow).toEqual([{ ...nodes[0], crontab: '00 08 * * *' }, nodes[1]])
+    expect(result.patch).toEqual([{ op: 'update', id: 'a', fields: { crontab: '00 08 * * *' } }])
+  })
+
+  test('generateFlow asks for the whole flow when a patch does not fit', async () => {
+    const nodes = [{ id: 'a', type: 'inject', wires: [] }]
+
+    axios.post
+      .mockResolvedValueOnce({
+        data: { text: '{"flowName":"Report","patch":[{"op":"remove","id":"gone"}]}' }
+      })
+      .mockResolvedValueOnce({
+        data: { text: '{"flowName":"Report","flow":[{"id":"a","type":"inject"}]}' }
+      })
+
+    const result = await connector.generateFlow('drop the old node', { nodes, outputMode: 'patch' })
+
+    expect(connector.buildRequestBody.mock.calls[1][1].operation).toBe('flow')
+    expect(result.success).toBe(true)
+    expect(result.flow).toEqual([{ id: 'a', type: 'inject' }])
+    expect(result.patch).toBeUndefined()
+    expect(result.metadata.patchRejected).toEqual(['operation 1: there is no node gone to remove'])
+  })
+
+  test('generateFlow keeps a reduced context when a patch does not fit', async () => {
+    const nodes = Array.from({ length: 200 }, (v, i) => ({ id: `n${i}`, type: 'my-sensor', name: 'x'.repeat(50) }))
+    const context = {
+      nodes,
+      outputMode: 'patch',
+      customNodes: [{ name: 'my-sensor', fields: [] }, { name: 'unused-node', fields: [] }]
+    }
+
+    axios.post
+      .mockRejectedValueOnce({
+        response: { status: 400, data: { error: { message: 'prompt is too long' } } }
+      })
+      .mockResolvedValueOnce({
+        data: { text: '{"flowName":"Report","patch":[{"op":"remove","id":"gone"}]}' }
+      })
+      .mockResolvedValueOnce({ data: { text: '{"flowName":"Report","flow":[]}' } })
+
+    const result = await connector.generateFlow('drop my-sensor nodes', context)
+    const [first, reduced, fallback] = connector.buildRequestBody.mock.calls.map(call => call[1])
+
+    expect(fallback.operation).toBe('flow')
+    expect(fallback.messages[0].content.length).toBeLessThan(first.messages[0].content.length)
+    expect(fallback.systemPrompt).toBe(reduced.systemPrompt)
+    expect(fallback.systemPrompt).not.toContain('unused-node')
+    expect(result.metadata.contextReduced).toBeDefined()
+    expect(result.metadata.patchRejected).toEqual(['operation 1: there is no node gone to remove'])
+  })
+
+  test('generateFlow returns clarifying questions asked in patch mode', async () => {
+    const nodes = [{ id: 'a', type: 'inject', wires: [] }]
+
+    axios.post.mockResolvedValueOnce({
+      data: { text: '{"flowName":"","patch":[],"questions":[{"id":"mailbox","question":"Which mailbox?"}]}' }
+    })
+
+    const result = await connector.generateFlow('mail it', { nodes, outputMode: 'patch', maxQuestions: 2 })
+
+    expect(axios.post).toHaveBeenCalledTimes(1)
+    expect(result.success).toBe(true)
+    expect(result.flow).toEqual([])
+    expect(result.questions).toEqual([{ id: 'mailbox', question: 'Which mailbox?' }])
+    expect(result.metadata.patchRejected).toBeUndefined()
+  })
+
+  test('generateFlow builds one stage from its prompt and reports the interface', async () => {
+    // eslint-disable-next-line global-require
+    const ConnectorUtils = require('../resources/ai-connectors/connector-utils')
+    const outline = ConnectorUtils.normalizePlan({
+      title: 'Report',
+      stages: [
+        { name: 'Fetch', description: 'Get closed tickets', nodeTypes: ['http request'] },
+        { name: 'Count', description: 'Count per agent', nodeTypes: [] },
+        { name: 'Deliver', description: 'Mail the report', nodeTypes: ['e-mail'] }
+      ]
+    })
+    const prompt = ConnectorUtils.renderStagePrompt('daily ticket report', outline, 1, {
+      msg: 'payload is an array of tickets'
+    })
+
+    axios.post.mockResolvedValueOnce({
+      data: {
+        text: JSON.stringify({
+          flowName: 'Count',
+          flow: [{ id: 'c1', type: 'change', wires: [[]] }],
+          interface: { input: 'c1', output: 'c1', outputPort: '0' }
+        })
+      }
+    })
+
+    const result = await connector.generateFlow(prompt, { stage: true })
+    const [, request] = connector.buildRequestBody.mock.calls[0]
+
+    expect(prompt).toContain('BUILD STAGE 2 OF 3')
+    expect(prompt).toContain('1. Fetch: Get closed tickets\n2. Count: Count per agent (this stage)\n3. Deliver')
+    expect(prompt).toContain('Messages arrive from stage 1 (Fetch): payload is an array of tickets')
+    expect(prompt).toContain('Stage 3 (Deliver: Mail the report) takes the msg this stage sends on.')
+    expect(request.messages[0].content).toBe(prompt)
+    expect(result.interface).toEqual({
+      input: 'c1', output: 'c1', outputPort: 0, msg: ''
+    })
+  })
+
+  test('classifyError recognises context window overflows', () => {
+    const overflow = error => ({ response: { status: 400, data: { error } } })
+
+    expect(base.classifyError(overflow({ code: 'context_length_exceeded', message: 'too long' })))
+      .toBe('context_length_exceeded')
+    expect(base.classifyError(overflow({ message: 'prompt is too long: 210000 tokens > 200000 maximum' })))
+      .toBe('context_length_exceeded')
+    expect(base.classifyError(overflow({
+      message: 'The input token count (1048577) exceeds the maximum number of tokens allowed (1048576).'
+    }))).toBe('context_length_exceeded')
+    expect(base.classifyError(overflow({ message: 'Invalid model' }))).toBe('request_failed')
+  })
+
+  test('generateFlow retries once with a reduced context after a context overflow', async () => {
+    const nodes = Array.from({ length: 200 }, (v, i) => ({ id: `n${i}`, type: 'my-sensor', name: 'x'.repeat(50) }))
+    const context = {
+      nodes,
+      customNodes: [
+        { name: 'my-sensor', fields: ['topic'] },
+        { name: 'my-mailer', fields: ['to'] },
+        { name: 'unused-node', fields: [] }
+      ]
+    }
+
+    axios.post
+      .mockRejectedValueOnce({
+        response: { status: 400, data: { error: { message: "This model's maximum context length is 8192 tokens" } } }
+      })
+      .mockResolvedValueOnce({ data: { text: '{"flowName":"Demo","flow":[{"id":"n1"}]}' } })
+
+    const result = await connector.generateFlow('send mail with my-mailer', context)
+    const first = connector.buildRequestBody.mock.calls[0][1]
+    const retry = connector.buildRequestBody.mock.calls[1][1]
+
+    expect(axios.post).toHaveBeenCalledTimes(2)
+    expect(result.success).toBe(true)
+    expect(result.metadata.contextReduced).toEqual({
+      flowContextTokens: expect.any(Number),
+      customNodes: { kept: 2, total: 3 }
+    })
+    expect(retry.messages[0].content.length).toBeLessThan(first.messages[0].content.length)
+    expect(retry.systemPrompt).not.toContain('unused-node')
+  })
+
+  test('generateFlow fails with a clear error when the reduced context still overflows', async () => {
+    const overflow = { response: { status: 400, data: { error: { message: 'prompt is too long' } } } }
+
+    axios.post.mockRejectedValueOnce(overflow).mockRejectedValueOnce(overflow)
+
+    const result = await connector.generateFlow('do something', { nodes: [{ id: 'n1' }], customNodes: [] })
+
+    expect(axios.post).toHaveBeenCalledTimes(2)
+    expect(result.errorCode).toBe('context_length_exceeded')
+    expect(result.error).toBe("Prompt exceeds the model's context window even with reduced flow context: prompt is too long")
+    expect(result.metadata.contextReduced).toBeDefined()
+  })
+
+  test('complete fails an answer that does not match the schema under structured output', async () => {
+    const answer = '{"flowName":"Demo","flow":[{"id":"a","wires":"b"}]}'
+
+    axios.post
+      .mockResolvedValueOnce({ data: { text: answer } })
+      .mockResolvedValueOnce({ data: { text: answer } })
+
+    const strict = await connector.complete({ model: 'm', structuredOutput: true }, 'flow', 's', 'u')
+    const loose = await connector.complete({ model: 'm' }, 'flow', 's', 'u')
+
+    expect(strict).toEqual(expect.objectContaining({
+      success: false,
+      errorCode: 'schema_mismatch',
+      error: 'AI response does not match the flow schema: answer.flow[0].type is missing; answer.flow[0].wires is string, expected array'
+    }))
+    expect(loose.success).toBe(true)
+  })
+
+  test('env prefers connector-scoped keys over the shared ones', () => {
+    // eslint-disable-next-line global-require
+    const getEnv = require('../resources/config-loader')
+
+    getEnv.setSettings({ AI_MODEL: 'shared-model', AI_TEST_MODEL: 'scoped-model' })
+
+    expect(connector.env('AI_MODEL')).toBe('scoped-model')
+    expect({ ...connector, name: 'other' }.env('AI_MODEL')).toBe('shared-model')
+
+    getEnv.setSettings({})
+  })
+
+  test('withModel pins the model without changing the source connector', () => {
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+
+    expect(connector.withModel('small-model').getConfig().model).toBe('small-model')
+    expect(connector.getConfig().model).toBe('test-model')
+    expect(azure.withModel('gpt-4o-mini').getConfig().deploymentName).toBe('gpt-4o-mini')
+  })
+
+  test('generateFlow streams SSE chunks and reports progress', async () => {
+    // eslint-disable-next-line global-require
+    const { Readable } = require('stream')
+    const answer = '{"flowName":"Demo","flow":[{"id":"a","wires":[["b"]]},{"id":"b"}]}'
+    const sse = [answer.slice(0, 30), answer.slice(30)]
+      .map(delta => `data: ${JSON.stringify({ delta })}\n\n`)
+      .concat('data: {"usage":{"total_tokens":9}}\n\ndata: [DONE]\n\n')
+      .join('')
+    const onProgress = jest.fn()
+
+    connector.extractStreamText = chunk => chunk.delta || ''
+    // split mid-line to check chunks are re-assembled
+    axios.post.mockResolvedValueOnce({
+      data: Readable.from([Buffer.from(sse.slice(0, 17)), Buffer.from(sse.slice(17))])
+    })
+
+    const result = await connector.generateFlow('do something', {}, undefined, { onProgress })
+
+    expect(axios.post.mock.calls[0][1].stream).toBe(true)
+    expect(axios.post.mock.calls[0][2].responseType).toBe('stream')
+    expect(result.success).toBe(true)
+    expect(result.flow).toHaveLength(2)
+    expect(result.metadata).toEqual(expect.objectContaining({
+      usage: { total_tokens: 9 },
+      streamed: true
+    }))
+    expect(onProgress).toHaveBeenLastCalledWith({ nodeCount: 2, flowName: 'Demo', chars: answer.length })
+  })
+
+  test('generateFlow reads the error of a failed stream and recovers from a context overflow', async () => {
+    // eslint-disable-next-line global-require
+    const { Readable } = require('stream')
+    const body = JSON.stringify({ error: { code: 'context_length_exceeded', message: 'Too many tokens' } })
+    const answer = '{"flowName":"Demo","flow":[{"id":"a"}]}'
+    const onProgress = jest.fn()
+
+    connector.extractStreamText = chunk => chunk.delta || ''
+    axios.post
+      .mockRejectedValueOnce({
+        response: {
+          status: 400,
+          data: Readable.from([Buffer.from(body.slice(0, 20)), Buffer.from(body.slice(20))])
+        }
+      })
+      .mockResolvedValueOnce({
+        data: Readable.from([Buffer.from(`data: ${JSON.stringify({ delta: answer })}\n\n`)])
+      })
+
+    const context = { nodes: [{ id: 'n1' }], customNodes: [] }
+    const result = await connector.generateFlow('do something', context, undefined, { onProgress })
+
+    expect(axios.post).toHaveBeenCalledTimes(2)
+    expect(result.success).toBe(true)
+    expect(result.metadata.contextReduced).toBeDefined()
+  })
+
+  test('describeError reports the provider message of a failed stream', async () => {
+    // eslint-disable-next-line global-require
+    const { Readable } = require('stream')
+    const error = { response: { status: 401, data: Readable.from([Buffer.from('{"error":{"message":"Bad key"}}')]) } }
+
+    await base.readErrorBody(error)
+
+    expect(base.describeError(error, {}, 'failed')).toBe('Bad key')
+  })
+
+  test('generateFlow without streaming support ignores onProgress', async () => {
+    const onProgress = jest.fn()
+
+    axios.post.mockResolvedValueOnce({ data: { text: '{"flow":[]}' } })
+
+    const result = await connector.generateFlow('do something', {}, undefined, { onProgress })
+
+    expect(result.success).toBe(true)
+    expect(axios.post.mock.calls[0][2].responseType).toBeUndefined()
+    expect(onProgress).not.toHaveBeenCalled()
+  })
+
+  describe('truncated answers', () => {
+    let getEnv
+
+    beforeEach(() => {
+      // eslint-disable-next-line global-require
+      getEnv = require('../resources/config-loader')
+      connector.isTruncated = data => !!data.truncated
+    })
+
+    afterEach(() => {
+      getEnv.setSettings({})
+    })
+
+    test('retries with a doubled token budget', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { text: '{"flowName":"Big","flow":[{"id":"a"},', truncated: true } })
+        .mockResolvedValueOnce({ data: { text: '{"flowName":"Big","flow":[{"id":"a"},{"id":"b"}]}' } })
+
+      const result = await connector.generateFlow('do something', {})
+
+      expect(connector.buildRequestBody.mock.calls[1][1].maxTokens).toBe(8000)
+      expect(connector.buildRequestBody.mock.calls[1][0].maxCompletionTokens).toBe(8000)
+      expect(result.flow).toHaveLength(2)
+      expect(result.metadata.truncation).toEqual({ retries: 1, continuations: 0, maxTokens: 8000 })
+    })
+
+    test('fails with response_truncated once the ceiling is reached', async () => {
+      getEnv.setSettings({ AI_MAX_TOKENS_CEILING: '4000' })
+      axios.post.mockResolvedValueOnce({
+        data: { text: '{"flowName":"Big","flow":[{"id":"a"},{"id":"b"', truncated: true }
+      })
+
+      const result = await connector.generateFlow('do something', {})
+
+      expect(axios.post).toHaveBeenCalledTimes(1)
+      expect(result.success).toBe(false)
+      expect(result.errorCode).toBe('response_truncated')
+      expect(result.error).toBe('AI response was truncated at 4000 output tokens')
+    })
+
+    test('continues a plain-text answer and stitches the parts', async () => {
+      getEnv.setSettings({ AI_MAX_TOKENS_CEILING: '4000' })
+      connector.canContinue = () => true
+      axios.post
+        .mockResolvedValueOnce({ data: { text: '{"flowName":"Big","flow":[{"id":"a"},{"id"', truncated: true } })
+        .mockResolvedValueOnce({ data: { text: ':"b"}]}' } })
+
+      const result = await connector.generateFlow('do something', {})
+      const { messages } = connector.buildRequestBody.mock.calls[1][1]
+
+      expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user'])
+      expect(messages[1].content).toBe('{"flowName":"Big","flow":[{"id":"a"},{"id"')
+      expect(result.flow).toEqual([{ id: 'a' }, { id: 'b' }])
+      expect(result.metadata.truncation).toEqual({ retries: 0, continuations: 1, maxTokens: 4000 })
+    })
+  })
+})
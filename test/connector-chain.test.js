@@ -0,0 +1,140 @@
+const ConnectorChain = require('../resources/ai-connectors/connector-chain')
+
+describe('connector chain', () => {
+  const makeConnector = (name, result, valid = true) => ({
+    name,
+    getConfig: jest.fn(() => ({ name })),
+    validateConfig: jest.fn(() => ({ valid, errors: valid ? [] : [`${name} missing key`] })),
+    generateFlow: jest.fn().mockResolvedValue(result),
+    resyncNode: jest.fn().mockResolvedValue(result),
+    generateDescription: jest.fn().mockResolvedValue(result)
+  })
+
+  test('serves from the primary and records it in metadata', async () => {
+    const primary = makeConnector('azure-openai', { success: true, flow: [], metadata: { model: 'gpt-4o' } })
+    const secondary = makeConnector('anthropic', { success: true, flow: [] })
+    const chain = ConnectorChain.create([primary, secondary])
+
+    const result = await chain.generateFlow('prompt', {})
+
+    expect(result.metadata).toEqual({ model: 'gpt-4o', connector: 'azure-openai' })
+    expect(secondary.generateFlow).not.toHaveBeenCalled()
+  })
+
+  test('fails over on outage errors and records the failover', async () => {
+    const primary = makeConnector('azure-openai', {
+      success: false, error: 'HTTP 503', errorCode: 'server_error', metadata: {}
+    })
+    const secondary = makeConnector('anthropic', {
+      success: true, updatedNode: { id: 'n1' }, metadata: {}
+    })
+    const chain = ConnectorChain.create([primary, secondary])
+
+    const options = { signal: new AbortController().signal }
+    const result = await chain.resyncNode('n1', 'function', 'info', {}, false, 'name', options)
+
+    expect(result.success).toBe(true)
+    expect(secondary.resyncNode).toHaveBeenCalledWith('n1', 'function', 'info', {}, false, 'name', options)
+    expect(result.metadata.connector).toBe('anthropic')
+    expect(result.metadata.failover).toEqual([
+      { connector: 'azure-openai', errorCode: 'server_error', error: 'HTTP 503' }
+    ])
+  })
+
+  test('does not fail over on request errors', async () => {
+    const primary = makeConnector('azure-openai', {
+      success: false, error: 'AI returned invalid JSON', errorCode: 'invalid_json'
+    })
+    const secondary = makeConnector('anthropic', { success: true })
+    const chain = ConnectorChain.create([primary, secondary])
+
+    const result = await chain.generateDescription('n1', 'function', {}, false, 'name')
+
+    expect(result.errorCode).toBe('invalid_json')
+    expect(result.metadata.connector).toBe('azure-openai')
+    expect(secondary.generateDescription).not.toHaveBeenCalled()
+  })
+
+  test('skips members without an optional method', async () => {
+    const legacy = makeConnector('my-gateway', { success: true })
+    const primary = makeConnector('azure-openai', { success: true, plan: { stages: [] } })
+    const chain = ConnectorChain.create([legacy, primary])
+
+    primary.planFlow = jest.fn().mockResolvedValue({ success: true, plan: { stages: [] } })
+
+    const result = await chain.planFlow('prompt', {})
+    const unsupported = await ConnectorChain.create([legacy]).planFlow('prompt', {})
+
+    expect(result.success).toBe(true)
+    expect(result.metadata.failover).toEqual([
+      { connector: 'my-gateway', errorCode: 'unsupported', error: 'planFlow is not supported' }
+    ])
+    expect(unsupported).toEqual(expect.objectContaining({
+      success: false,
+      error: 'No AI connector supports planFlow',
+      errorCode: 'unsupported'
+    }))
+  })
+
+  test('skips unconfigured members and returns the last failure', async () => {
+    const primary = makeConnector('azure-openai', { success: true }, false)
+    const secondary = makeConnector('anthropic', {
+      success: false, error: 'HTTP 429', errorCode: 'rate_limited'
+    })
+    const chain = ConnectorChain.create([primary, secondary])
+
+    const result = await chain.generateFlow('prompt', {})
+
+    expect(primary.generateFlow).not.toHaveBeenCalled()
+    expect(result.errorCode).toBe('rate_limited')
+    expect(result.metadata.connector).toBe('anthropic')
+    expect(result.metadata.failover[0]).toEqual(expect.objectContaining({
+      connector: 'azure-openai',
+      errorCode: 'not_configured'
+    }))
+  })
+
+  test('is valid when any member is configured', async () => {
+    const chain = ConnectorChain.create([
+      makeConnector('azure-openai', {}, false),
+      makeConnector('anthropic', {})
+    ])
+    const invalid = ConnectorChain.create([makeConnector('azure-openai', {}, false)])
+
+    expect(await chain.validateConfig(chain.getConfig())).toEqual({
+      valid: true,
+      errors: [],
+      members: [
+        { valid: false, errors: ['azure-openai missing key'] },
+        { valid: true, errors: [] }
+      ]
+    })
+    expect(await invalid.validateConfig(invalid.getConfig())).toEqual({
+      valid: false,
+      errors: ['azure-openai: azure-openai missing key'],
+      members: [{ valid: false, errors: ['azure-openai missing key'] }]
+    })
+  })
+
+  test('checks each member once for all calls of a request', async () => {
+    const primary = makeConnector('azure-openai', {
+      success: false, error: 'HTTP 503', errorCode: 'server_error', metadata: {}
+    })
+    const secondary = makeConnector('ollama', { success: true, flow: [], metadata: {} })
+    const chain = ConnectorChain.create([primary, secondary])
+    const validation = await chain.validateConfig(chain.getConfig())
+    const options = { signal: new AbortController().signal, validations: validation.members }
+
+    const result = await chain.generateFlow('prompt', {}, undefined, options)
+
+    expect(result.success).toBe(true)
+    expect(primary.validateConfig).toHaveBeenCalledTimes(1)
+    expect(secondary.validateConfig).toHaveBeenCalledTimes(1)
+    expect(primary.generateFlow).toHaveBeenCalledWith('prompt', {}, undefined, { signal: options.signal })
+
+    await chain.generateFlow('prompt', {}, undefined, options)
+
+    expect(primary.validateConfig).toHaveBeenCalledTimes(1)
+    expect(secondary.validateConfig).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,121 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('connector loader', () => {
+  const originalEnv = { ...process.env }
+  let tmpDir
+  let getEnv
+  let loader
+
+  const writeConnector = (fileName, source) => {
+    const filePath = path.join(tmpDir, fileName)
+
+    fs.writeFileSync(filePath, source)
+
+    return filePath
+  }
+
+  const fullConnectorSource = `module.exports = {
+    name: 'third-party',
+    getConfig() { return {} },
+    validateConfig() { return { valid: true, errors: [] } },
+    async generateFlow() { return { success: true, flow: [] } },
+    async resyncNode() { return { success: true } },
+    async generateDescription() { return { success: true } }
+  }`
+
+  beforeEach(() => {
+    jest.resetModules()
+    process.env = { ...originalEnv }
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfl-connector-'))
+    // eslint-disable-next-line global-require
+    getEnv = require('../resources/config-loader')
+    // eslint-disable-next-line global-require
+    loader = require('../resources/ai-connectors/connector-loader')
+    getEnv.setSettings({})
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  afterAll(() => {
+    process.env = originalEnv
+  })
+
+  test('loads built-in connectors by name', () => {
+    const { connector, error } = loader.load('openai')
+
+    expect(error).toBe('')
+    expect(connector.name).toBe('openai')
+  })
+
+  test('loads a connector from an absolute path', () => {
+    const filePath = writeConnector('third-party.js', fullConnectorSource)
+    const { connector, error } = loader.load(filePath)
+
+    expect(error).toBe('')
+    expect(connector.name).toBe('third-party')
+  })
+
+  test('resolves relative paths against the user directory', () => {
+    writeConnector('relative.js', fullConnectorSource)
+    const { connector } = loader.load('./relative.js', tmpDir)
+
+    expect(connector.name).toBe('third-party')
+  })
+
+  test('maps names through semanticFlowLanguage.connectors in settings', () => {
+    const filePath = writeConnector('mapped.js', fullConnectorSource)
+    const inline = {
+      name: 'inline',
+      getConfig: () => ({}),
+      validateConfig: () => ({ valid: true, errors: [] }),
+      generateFlow: async () => ({}),
+      resyncNode: async () => ({}),
+      generateDescription: async () => ({})
+    }
+
+    getEnv.setSettings({
+      semanticFlowLanguage: {
+        connectors: { gateway: filePath, inline }
+      }
+    })
+
+    expect(loader.load('gateway').connector.name).toBe('third-party')
+    expect(loader.load('inline').connector).toBe(inline)
+  })
+
+  test('names a connector without a name after the name it was loaded by', () => {
+    const filePath = writeConnector('unnamed.js', fullConnectorSource.replace("name: 'third-party',", ''))
+
+    getEnv.setSettings({
+      semanticFlowLanguage: {
+        connectors: { gateway: filePath }
+      }
+    })
+
+    expect(loader.load('gateway').connector.name).toBe('gateway')
+    expect(loader.load(filePath).connector.name).toBe(filePath)
+  })
+
+  test('reports every missing contract method', () => {
+    const filePath = writeConnector('partial.js', `module.exports = {
+      getConfig() { return {} },
+      validateConfig() { return { valid: true, errors: [] } },
+      async generateFlow() { return {} }
+    }`)
+    const { connector, error } = loader.load(filePath)
+
+    expect(connector).toBeUndefined()
+    expect(error).toBe(`Connector "${filePath}" is missing required method(s): resyncNode, generateDescription`)
+  })
+
+  test('reports modules that cannot be resolved', () => {
+    const { connector, error } = loader.load('sfl-connector-that-does-not-exist')
+
+    expect(connector).toBeUndefined()
+    expect(error).toContain('Failed to load connector "sfl-connector-that-does-not-exist"')
+  })
+})
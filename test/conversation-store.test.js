@@ -0,0 +1,85 @@
+describe('conversation store', () => {
+  let ConversationStore
+  let getEnv
+
+  beforeEach(() => {
+    jest.resetModules()
+    // eslint-disable-next-line global-require
+    getEnv = require('../resources/config-loader')
+    // eslint-disable-next-line global-require
+    ConversationStore = require('../resources/ai-connectors/conversation-store')
+  })
+
+  afterEach(() => {
+    getEnv.setSettings(null)
+  })
+
+  test('replays turns as user and assistant messages', () => {
+    const { id } = ConversationStore.start()
+    const flow = [{
+      id: 'a', type: 'inject', name: '7am', x: 100, y: 80, z: 'tab1'
+    }]
+
+    ConversationStore.append(id, { prompt: 'report every day at 7am', flowName: 'Report', flow })
+
+    expect(ConversationStore.history(id)).toEqual([
+      { role: 'user', content: 'report every day at 7am' },
+      {
+        role: 'assistant',
+        content: JSON.stringify({
+          flowName: 'Report',
+          flow: [{
+            id: 'a', type: 'inject', name: '7am', z: 'tab1'
+          }]
+        })
+      }
+    ])
+  })
+
+  test('records what each turn changed in the flow', () => {
+    const { id } = ConversationStore.start()
+    const before = [
+      {
+        id: 'a', type: 'inject', crontab: '00 07 * * *', x: 10
+      },
+      { id: 'b', type: 'debug', name: 'old' }
+    ]
+    const after = [
+      {
+        id: 'a', type: 'inject', crontab: '00 08 * * *', x: 90, z: 'tab2'
+      },
+      { id: 'c', type: 'catch', name: 'failures' }
+    ]
+
+    expect(ConversationStore.append(id, { prompt: 'make it 8am', flow: after, before }).diff).toEqual({
+      added: [{ id: 'c', type: 'catch', name: 'failures' }],
+      removed: [{ id: 'b', type: 'debug', name: 'old' }],
+      modified: [{ id: 'a', type: 'inject', changedFields: ['crontab'] }]
+    })
+  })
+
+  test('keeps only the newest AI_CONVERSATION_MAX_TURNS turns', () => {
+    getEnv.setSettings({ AI_CONVERSATION_MAX_TURNS: 2 })
+
+    const { id } = ConversationStore.start()
+    const prompts = ['one', 'two', 'three']
+
+    prompts.forEach(prompt => ConversationStore.append(id, { prompt, flow: [] }))
+
+    expect(ConversationStore.get(id).turns.map(turn => turn.prompt)).toEqual(['two', 'three'])
+  })
+
+  test('starts a new conversation for unknown or expired ids', () => {
+    getEnv.setSettings({ AI_CONVERSATION_TTL_MS: 1000 })
+
+    const conversation = ConversationStore.start()
+
+    expect(ConversationStore.resume(conversation.id)).toBe(conversation)
+    expect(ConversationStore.resume('unknown').id).not.toBe(conversation.id)
+
+    conversation.updatedAt -= 2000
+
+    expect(ConversationStore.get(conversation.id)).toBeNull()
+    expect(ConversationStore.history(conversation.id)).toEqual([])
+  })
+})
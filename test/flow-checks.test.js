@@ -0,0 +1,131 @@
+const FlowChecks = require('../resources/ai-connectors/flow-checks')
+
+describe('flow checks', () => {
+  const customNodes = [{
+    name: 'e-mail',
+    schema: {
+      server: { value: '', required: true },
+      smtp: { type: 'smtp-config' },
+      name: { value: '' }
+    }
+  }]
+
+  test('passes a flow of known, wired and configured nodes', () => {
+    const flow = [
+      {
+        id: 'a', type: 'mqtt in', broker: 'b1', wires: [['c']]
+      },
+      { id: 'b1', type: 'mqtt-broker', broker: 'localhost' },
+      {
+        id: 'c', type: 'e-mail', server: 'smtp.example.com', smtp: 's1', wires: []
+      },
+      { id: 's1', type: 'smtp-config' },
+      { id: 'd', type: 'subflow:f1', wires: [] }
+    ]
+
+    expect(FlowChecks.check(flow, customNodes, { isKnownType: type => type === 'smtp-config' }))
+      .toEqual([])
+  })
+
+  test('reports unknown types, dangling wires, missing fields and broken references', () => {
+    const flow = [
+      {
+        id: 'a', type: 'mqtt in', broker: 'c', wires: [['x'], 'y']
+      },
+      {
+        id: 'c', type: 'e-mail', server: '', wires: []
+      },
+      {
+        id: 'd', type: 'http request', tls: '', wires: 'c'
+      },
+      { id: 'e', type: 'magic', wires: [] }
+    ]
+
+    expect(FlowChecks.check(flow, customNodes).map(problem => [problem.check, problem.id]))
+      .toEqual([
+        ['dangling_wire', 'a'],
+        ['dangling_wire', 'a'],
+        ['config_reference', 'a'],
+        ['missing_field', 'c'],
+        ['config_reference', 'c'],
+        ['dangling_wire', 'd'],
+        ['unknown_type', 'e']
+      ])
+  })
+
+  test('reports duplicate ids and nodes on unknown tabs', () => {
+    const flow = [
+      { id: 't1', type: 'tab' },
+      {
+        id: 'a', type: 'inject', z: 't1', wires: []
+      },
+      {
+        id: 'a', type: 'debug', z: 't2', wires: []
+      },
+      {
+        id: 'b', type: 'debug', z: 't3', wires: []
+      }
+    ]
+
+    expect(FlowChecks.check(flow, [], { tabs: ['t3'] })).toEqual([
+      { check: 'duplicate_id', id: 'a', message: 'Node "a" (debug) reuses the id of another node' },
+      { check: 'invalid_z', id: 'a', message: 'Node "a" sits on unknown tab or subflow "t2"' }
+    ])
+  })
+
+  test('reports malformed JSONata and function code that does not compile', () => {
+    const parseJsonata = jest.fn(expression => {
+      if (expression.includes('((')) {
+        throw new Error('Expected ")" before end of expression')
+      }
+    })
+    const flow = [
+      {
+        id: 'a',
+        type: 'change',
+        rules: [
+          {
+            t: 'set', p: 'payload', to: '$sum((payload', tot: 'jsonata'
+          },
+          {
+            t: 'set', p: 'topic', to: '((', tot: 'str'
+          }
+        ],
+        wires: []
+      },
+      {
+        id: 'b',
+        type: 'switch',
+        property: 'payload.total',
+        propertyType: 'jsonata',
+        rules: [{ t: 'eq', v: 'payload > 3', vt: 'jsonata' }],
+        wires: [[]]
+      },
+      {
+        id: 'c', type: 'function', func: 'const x = await fetch(msg.url)\nreturn msg', wires: [[]]
+      },
+      {
+        id: 'd', type: 'function', func: 'if (msg.payload {\n  return msg\n}', wires: [[]]
+      }
+    ]
+    const problems = FlowChecks.check(flow, [], { parseJsonata })
+
+    expect(parseJsonata.mock.calls.map(([expression]) => expression))
+      .toEqual(['$sum((payload', 'payload.total', 'payload > 3'])
+    expect(problems.map(problem => [problem.check, problem.id])).toEqual([
+      ['jsonata', 'a'],
+      ['function_syntax', 'd']
+    ])
+    expect(problems[0].message).toBe('Node "a" (change) has malformed JSONata in rules[0].to: Expected ")" before end of expression')
+    expect(problems[1].message).toMatch(/^Node "d" \(function\) func does not compile: /)
+  })
+
+  test('weighs problems into one score', () => {
+    expect(FlowChecks.score([
+      { check: 'unknown_type' },
+      { check: 'missing_field' },
+      { check: 'missing_field' }
+    ])).toEqual({ score: 5, problems: { unknown_type: 1, missing_field: 2 } })
+    expect(FlowChecks.score([])).toEqual({ score: 0, problems: {} })
+  })
+})
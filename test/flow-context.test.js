@@ -0,0 +1,87 @@
+const FlowContext = require('../resources/ai-connectors/flow-context')
+const ConnectorUtils = require('../resources/ai-connectors/connector-utils')
+
+// inject -> a -> b -> ... a chain of function nodes with bulky settings
+const chain = (count, names = {}) => Array.from({ length: count }, (v, i) => ({
+  id: `n${i}`,
+  type: i === 0 ? 'inject' : 'function',
+  name: names[i] || `step ${i}`,
+  func: 'return msg'.padEnd(200, ' '),
+  x: 100 + i * 10,
+  y: 200,
+  wires: i < count - 1 ? [[`n${i + 1}`]] : []
+}))
+
+describe('flow context pruning', () => {
+  test('ranks prompt matches first, then their neighbours by distance', () => {
+    const nodes = chain(6, { 3: 'Parse invoice' })
+
+    expect(FlowContext.rank(nodes, 'fix the invoice parser').slice(0, 3)).toEqual([3, 2, 4])
+  })
+
+  test('keeps the flow order when nothing matches the prompt', () => {
+    expect(FlowContext.rank(chain(4), 'something else entirely')).toEqual([0, 1, 2, 3])
+  })
+
+  test('follows link nodes as edges', () => {
+    const nodes = [
+      {
+        id: 'a', type: 'link out', name: 'send', links: ['b']
+      },
+      { id: 'x', type: 'debug', name: 'unrelated' },
+      {
+        id: 'b', type: 'link in', name: 'receive', links: ['a']
+      }
+    ]
+
+    expect(FlowContext.rank(nodes, 'rename send')).toEqual([0, 2, 1])
+  })
+
+  test('keeps relevant nodes in full and stubs the rest without losing wiring', () => {
+    const nodes = chain(40, { 30: 'Parse invoice' })
+    const result = FlowContext.prune(nodes, 'fix the invoice parser', 6000)
+    const byId = Object.fromEntries(result.nodes.map(node => [node.id, node]))
+
+    expect(JSON.stringify(result.nodes, null, 2).length).toBeLessThanOrEqual(6000)
+    expect(result.omitted).toBe(0)
+    expect(result.nodes.map(node => node.id)).toEqual(nodes.map(node => node.id))
+    expect(byId.n30.func).toBeDefined()
+    expect(byId.n29.func).toBeDefined()
+    expect(byId.n31.func).toBeDefined()
+    expect(byId.n0).toEqual({
+      id: 'n0', type: 'inject', name: 'step 0', wires: [['n1']]
+    })
+    expect(byId.n30.x).toBeUndefined()
+    expect(result.full + result.stubs).toBe(40)
+  })
+
+  test('omits the most distant stubs when even stubs do not fit', () => {
+    const nodes = chain(40, { 0: 'Start timer' })
+    const result = FlowContext.prune(nodes, 'change the timer', 1000)
+    const ids = result.nodes.map(node => node.id)
+
+    expect(JSON.stringify(result.nodes, null, 2).length).toBeLessThanOrEqual(1000)
+    expect(result.omitted).toBeGreaterThan(0)
+    expect(ids[0]).toBe('n0')
+    expect(ids).not.toContain('n39')
+  })
+
+  test('always keeps at least one node', () => {
+    const result = FlowContext.prune(chain(3), '', 10)
+
+    expect(result.nodes).toHaveLength(1)
+  })
+
+  test('serializeFlowContext returns small flows unchanged', () => {
+    const nodes = chain(2)
+
+    expect(ConnectorUtils.serializeFlowContext(nodes, 18000)).toBe(JSON.stringify(nodes, null, 2))
+  })
+
+  test('serializeFlowContext describes a pruned flow', () => {
+    const serialized = ConnectorUtils.serializeFlowContext(chain(40, { 30: 'Parse invoice' }), 3000, 'invoice')
+
+    expect(serialized).toContain('Flow truncated for context')
+    expect(serialized).toMatch(/\d+ of 40 nodes shown in full, \d+ as stubs/)
+  })
+})
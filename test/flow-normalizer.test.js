@@ -0,0 +1,128 @@
+const FlowNormalizer = require('../resources/ai-connectors/flow-normalizer')
+
+describe('flow normalizer', () => {
+  const inject = '1a2b3c4d5e6f7a8b'
+  const debug = '9f8e7d6c5b4a3f2e'
+
+  test('leaves a well-formed flow alone', () => {
+    const flow = [
+      {
+        id: inject, type: 'inject', x: 120, y: 80, wires: [[debug]]
+      },
+      {
+        id: debug, type: 'debug', x: 320, y: 80, wires: []
+      },
+      { id: 'c0ffee00c0ffee00', type: 'mqtt-broker', broker: 'localhost' }
+    ]
+
+    expect(FlowNormalizer.normalize(flow)).toEqual({ flow, fixes: [] })
+  })
+
+  test('replaces bad and duplicate ids and follows the references', () => {
+    const { flow, fixes } = FlowNormalizer.normalize([
+      {
+        id: 'in1', type: 'mqtt in', broker: 'broker1', x: 100, y: 40, wires: [['fmt']]
+      },
+      {
+        id: 'fmt', type: 'function', name: 'fmt', x: 300, y: 40, wires: [[]]
+      },
+      {
+        id: 'fmt', type: 'catch', scope: ['fmt'], x: 100, y: 120, wires: [[]]
+      },
+      { id: 'broker1', type: 'mqtt-broker', broker: 'localhost' },
+      {
+        id: inject, type: 'inject', x: 100, y: 200, wires: []
+      }
+    ])
+    const [mqtt, format, catchNode, broker, kept] = flow
+
+    expect(flow.every(node => /^[0-9a-f]{16}$/.test(node.id))).toBe(true)
+    expect(new Set(flow.map(node => node.id)).size).toBe(5)
+    expect(mqtt.wires).toEqual([[format.id]])
+    expect(mqtt.broker).toBe(broker.id)
+    expect(format.name).toBe('fmt')
+    expect(catchNode.scope).toEqual([format.id])
+    expect(kept.id).toBe(inject)
+    expect(fixes.map(fix => fix.fix)).toEqual(['id', 'id', 'id', 'id'])
+    expect(fixes[2]).toEqual({
+      fix: 'id',
+      id: catchNode.id,
+      message: `Gave node ${catchNode.id} (catch) a new id, "fmt" was taken`
+    })
+    expect(FlowNormalizer.normalize([{ id: 'fmt', type: 'debug', wires: [] }]).flow[0].id)
+      .toBe(FlowNormalizer.normalize([{ id: 'fmt', type: 'debug', wires: [] }]).flow[0].id)
+  })
+
+  test('renames short ids without touching fields that merely equal one', () => {
+    const { flow } = FlowNormalizer.normalize([
+      {
+        id: '1', type: 'inject', payload: '2', payloadType: 'num', x: 100, y: 40, wires: [['2']]
+      },
+      {
+        id: '2', type: 'function', func: 'return msg', outputs: '1', x: 300, y: 40, wires: [['3']]
+      },
+      {
+        id: '3', type: 'mqtt out', broker: '4', topic: '1', x: 500, y: 40, wires: []
+      },
+      {
+        id: '4', type: 'mqtt-broker', broker: 'localhost', port: '1'
+      }
+    ])
+    const [injectNode, fn, mqtt, broker] = flow
+
+    expect(injectNode.payload).toBe('2')
+    expect(injectNode.wires).toEqual([[fn.id]])
+    expect(fn.outputs).toBe(1)
+    expect(fn.wires).toEqual([[mqtt.id]])
+    expect(mqtt.broker).toBe(broker.id)
+    expect(mqtt.topic).toBe('1')
+    expect(broker.port).toBe('1')
+  })
+
+  test('keeps the ids of the existing nodes', () => {
+    const flow = [{
+      id: 'legacy.id', type: 'debug', x: 100, y: 40, wires: []
+    }]
+
+    expect(FlowNormalizer.normalize(flow, { keepIds: ['legacy.id'] }).fixes).toEqual([])
+  })
+
+  test('drops tabs, dangling z values and fixes wires, numbers and positions', () => {
+    const { flow, fixes } = FlowNormalizer.normalize([
+      { id: 'aaaaaaaaaaaaaaaa', type: 'tab', label: 'Report' },
+      {
+        id: inject, type: 'inject', z: 'aaaaaaaaaaaaaaaa', x: '100', y: '40', wires: [debug]
+      },
+      {
+        id: debug, type: 'debug', z: 'bbbbbbbbbbbbbbbb'
+      },
+      {
+        id: 'cccccccccccccccc', type: 'function', z: 'bbbbbbbbbbbbbbbb', outputs: '2', x: 500, wires: 'x'
+      }
+    ], { tabs: ['bbbbbbbbbbbbbbbb'] })
+
+    expect(flow).toEqual([
+      {
+        id: inject, type: 'inject', x: 100, y: 40, wires: [[debug]]
+      },
+      {
+        id: debug, type: 'debug', z: 'bbbbbbbbbbbbbbbb', wires: [], x: 120, y: 120
+      },
+      {
+        id: 'cccccccccccccccc', type: 'function', z: 'bbbbbbbbbbbbbbbb', outputs: 2, x: 500, wires: [['x']], y: 120
+      }
+    ])
+    expect(fixes.map(fix => [fix.fix, fix.id])).toEqual([
+      ['stray_tab', 'aaaaaaaaaaaaaaaa'],
+      ['z', inject],
+      ['wires', inject],
+      ['numeric_field', inject],
+      ['numeric_field', inject],
+      ['wires', debug],
+      ['wires', 'cccccccccccccccc'],
+      ['numeric_field', 'cccccccccccccccc'],
+      ['position', debug],
+      ['position', 'cccccccccccccccc']
+    ])
+  })
+})
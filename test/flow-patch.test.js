@@ -0,0 +1,77 @@
+const FlowPatch = require('../resources/ai-connectors/flow-patch')
+
+describe('flow patch', () => {
+  const nodes = [
+    {
+      id: 'a', type: 'inject', name: '7am', crontab: '00 07 * * *', wires: [['b']]
+    },
+    {
+      id: 'b', type: 'function', name: 'format', func: 'return msg', wires: [['c']]
+    },
+    {
+      id: 'c', type: 'debug', name: 'report', wires: []
+    }
+  ]
+
+  test('applies operations and keeps the nodes it does not name', () => {
+    const result = FlowPatch.apply(nodes, [
+      { op: 'update', id: 'a', fields: { crontab: '00 08 * * *', name: null } },
+      {
+        op: 'add',
+        node: {
+          id: 'd', type: 'catch', name: '⧫ failures', wires: [['c']]
+        }
+      },
+      { op: 'remove', id: 'b' },
+      { op: 'rewire', id: 'a', wires: [['c']] }
+    ])
+
+    expect(result.valid).toBe(true)
+    expect(result.flow).toEqual([
+      {
+        id: 'a', type: 'inject', crontab: '00 08 * * *', wires: [['c']]
+      },
+      nodes[2],
+      {
+        id: 'd', type: 'catch', name: '⧫ failures', wires: [['c']]
+      }
+    ])
+    expect(result.operations.map(operation => operation.op)).toEqual(['update', 'add', 'remove', 'rewire'])
+    expect(nodes[0].crontab).toBe('00 07 * * *')
+  })
+
+  test('drops wires into removed nodes', () => {
+    const result = FlowPatch.apply(nodes, [{ op: 'remove', id: 'c' }])
+
+    expect(result.valid).toBe(true)
+    expect(result.flow.find(node => node.id === 'b').wires).toEqual([[]])
+  })
+
+  test('rejects the whole patch when an operation does not fit the flow', () => {
+    const result = FlowPatch.apply(nodes, [
+      { op: 'update', id: 'a', fields: { name: 'ok' } },
+      { op: 'update', id: 'x', fields: { name: 'missing' } },
+      { op: 'add', node: { id: 'b', type: 'debug' } },
+      { op: 'update', id: 'c', fields: { id: 'z2' } },
+      { op: 'rewire', id: 'a', wires: [['nowhere']] },
+      { op: 'rename', id: 'a' }
+    ])
+
+    expect(result.valid).toBe(false)
+    expect(result.flow).toEqual([])
+    expect(result.errors).toEqual([
+      'operation 2: there is no node x to update',
+      'operation 3: node b already exists',
+      'operation 4: id cannot be updated',
+      'operation 6: unknown op "rename"',
+      'node a is wired to unknown node nowhere'
+    ])
+  })
+
+  test('rejects an answer that is not a list of operations', () => {
+    expect(FlowPatch.apply(nodes, undefined)).toEqual(expect.objectContaining({
+      valid: false,
+      errors: ['patch must be an array of operations']
+    }))
+  })
+})
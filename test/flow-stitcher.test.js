@@ -0,0 +1,131 @@
+const FlowStitcher = require('../resources/ai-connectors/flow-stitcher')
+
+describe('flow stitcher', () => {
+  const fetchStage = {
+    name: 'Fetch',
+    flow: [
+      {
+        id: 'n1', type: 'inject', x: 100, y: 40, wires: [['n2']]
+      },
+      {
+        id: 'n2', type: 'http request', x: 300, y: 40, tls: 'tls1', wires: [[]]
+      },
+      { id: 'tls1', type: 'tls-config', name: 'api' }
+    ],
+    interface: {
+      input: '', output: 'n2', outputPort: 0, msg: 'payload is the ticket list'
+    }
+  }
+  const reportStage = {
+    name: 'Report',
+    flow: [
+      {
+        id: 'n1', type: 'change', x: 100, y: 200, wires: [['n2']]
+      },
+      {
+        id: 'n2', type: 'e-mail', x: 300, y: 220, wires: []
+      },
+      {
+        id: 'n3', type: 'catch', x: 100, y: 300, scope: ['n2'], wires: [['n2']]
+      },
+      { id: 'tls2', type: 'tls-config', name: 'api' }
+    ]
+  }
+
+  test('gives every node a fresh id and wires each stage to the next', () => {
+    const { flow, links, warnings } = FlowStitcher.stitch([fetchStage, reportStage])
+    const ids = flow.map(node => node.id)
+    const [inject, request, tls, change, email, catchNode] = flow
+
+    expect(warnings).toEqual([])
+    expect(new Set(ids).size).toBe(6)
+    expect(ids.every(id => /^[0-9a-f]{16}$/.test(id))).toBe(true)
+    expect(flow.map(node => node.type)).toEqual(['inject', 'http request', 'tls-config', 'change', 'e-mail', 'catch'])
+    expect(inject.wires).toEqual([[request.id]])
+    expect(request.wires).toEqual([[change.id]])
+    expect(request.tls).toBe(tls.id)
+    expect(catchNode.scope).toEqual([email.id])
+    expect(links).toEqual([{
+      from: { stage: 1, id: request.id, port: 0 },
+      to: { stage: 2, id: change.id }
+    }])
+  })
+
+  test('merges identical config nodes across stages', () => {
+    const withConfig = {
+      ...reportStage,
+      flow: reportStage.flow.concat({
+        id: 'n4', type: 'http request', x: 500, y: 200, tls: 'tls2', wires: [[]]
+      })
+    }
+    const { flow } = FlowStitcher.stitch([fetchStage, withConfig])
+    const configs = flow.filter(node => node.type === 'tls-config')
+
+    expect(configs).toHaveLength(1)
+    expect(flow.filter(node => node.type === 'http request').map(node => node.tls))
+      .toEqual([configs[0].id, configs[0].id])
+  })
+
+  test('lays the stages out top to bottom', () => {
+    const { flow } = FlowStitcher.stitch([fetchStage, reportStage])
+
+    expect(flow.filter(node => node.y !== undefined).map(node => node.y))
+      .toEqual([0, 0, 80, 100, 180])
+  })
+
+  test('falls back to the wiring when a stage reports no usable interface', () => {
+    expect(FlowStitcher.detectInterface(reportStage.flow)).toEqual({ input: 'n1', output: '', outputPort: 0 })
+    expect(FlowStitcher.resolveInterface({ ...fetchStage, interface: { output: 'x9' } }))
+      .toEqual({ input: 'n1', output: 'n2', outputPort: 0 })
+  })
+
+  test('wires the output the stage reported, not the one the wiring suggests', () => {
+    const routeStage = {
+      name: 'Route',
+      flow: [
+        {
+          id: 'aaaa', type: 'inject', x: 100, y: 40, payload: 'bbbb', wires: [['bbbb']]
+        },
+        {
+          id: 'bbbb', type: 'switch', x: 300, y: 40, wires: [['cccc'], []]
+        },
+        {
+          id: 'cccc', type: 'change', x: 500, y: 40, rules: [{ t: 'set', to: 'aaaa' }], wires: [[]]
+        }
+      ],
+      interface: {
+        input: 'aaaa', output: 'bbbb', outputPort: 1, msg: 'payload is the ticket'
+      }
+    }
+
+    expect(FlowStitcher.detectInterface(routeStage.flow).output).toBe('cccc')
+
+    const { flow, links } = FlowStitcher.stitch([routeStage, reportStage])
+    const [inject, route, change, next] = flow
+
+    expect(route.wires).toEqual([[change.id], [next.id]])
+    expect(change.wires).toEqual([[]])
+    expect(links[0].from).toEqual({ stage: 1, id: route.id, port: 1 })
+    expect(inject.payload).toBe('bbbb')
+    expect(change.rules).toEqual([{ t: 'set', to: 'aaaa' }])
+  })
+
+  test('wires an output node the model left without wires', () => {
+    const { flow } = FlowStitcher.stitch([{
+      name: 'Fetch',
+      flow: [{
+        id: 'n1', type: 'http request', x: 100, y: 40
+      }],
+      interface: { input: '', output: 'n1', outputPort: 0 }
+    }, reportStage])
+
+    expect(flow[0].wires).toEqual([[flow[1].id]])
+  })
+
+  test('reports stages it cannot wire', () => {
+    const { links, warnings } = FlowStitcher.stitch([reportStage, fetchStage])
+
+    expect(links).toEqual([])
+    expect(warnings).toEqual(['Stage 1 (Report) could not be wired to stage 2 (Fetch)'])
+  })
+})
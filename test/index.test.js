@@ -7,6 +7,9 @@ jest.mock('../resources/ai-connectors/azure-openai-connector-node', () => ({
     success: true,
     name: 'node',
     description: 'desc'
+  }),
+  withModel: jest.fn(function withModel(model) {
+    return { ...this, getConfig: () => ({ model }) }
   })
 }))
 
@@ -42,7 +45,7 @@ describe('index plugin entry', () => {
     await pluginEntry(RED)
 
     expect(registerPlugin).toHaveBeenCalled()
-    expect(httpAdminPost).toHaveBeenCalledTimes(6)
+    expect(httpAdminPost).toHaveBeenCalledTimes(10)
     expect(httpAdminGet).toHaveBeenCalledTimes(1)
 
     const settingsCall = httpAdminGet.mock.calls.find(call => call[0] === '/ai/auto-verify/settings')
@@ -68,4 +71,688 @@ describe('index plugin entry', () => {
 
     expect(res.json).toHaveBeenCalled()
   })
+
+  test('reports a connector whose config cannot be read at startup', async () => {
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: jest.fn(), get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+
+    azure.getConfig.mockImplementation(() => {
+      throw new Error('bad config')
+    })
+
+    await pluginEntry(RED)
+    azure.getConfig.mockImplementation(() => ({}))
+
+    expect(RED.log.warn).toHaveBeenCalledWith(expect.stringContaining('check failed: bad config'))
+  })
+
+  test('routes an operation to its own model', async () => {
+    process.env.AI_DESCRIPTION_MODEL = 'gpt-4o-mini'
+
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    expect(azure.withModel).toHaveBeenCalledTimes(1)
+    expect(azure.withModel).toHaveBeenCalledWith('gpt-4o-mini')
+
+    const [, descriptionHandler] = httpAdminPost.mock.calls
+      .find(call => call[0] === '/ai/generate-description')
+    azure.validateConfig.mockClear()
+    await descriptionHandler({ body: { nodeId: 'n1', nodeType: 'function', currentConfig: {} } }, res)
+
+    expect(azure.validateConfig).toHaveBeenCalledWith({ model: 'gpt-4o-mini' })
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }))
+  })
+
+  test('streams build-flow progress as server-sent events', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      on: jest.fn(),
+      writeHead: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    azure.generateFlow.mockImplementationOnce(async (prompt, context, config, options) => {
+      options.onProgress({ nodeCount: 2, flowName: 'Demo', chars: 120 })
+
+      return { success: true, flow: [{ id: 'a' }, { id: 'b' }], flowName: 'Demo' }
+    })
+
+    const [, streamHandler] = httpAdminPost.mock.calls
+      .find(call => call[0] === '/ai/build-flow/stream')
+    await streamHandler({ body: { prompt: 'test prompt' } }, res)
+
+    const events = res.write.mock.calls.map(([chunk]) => chunk.split('\n')[0])
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }))
+    expect(events).toEqual(['event: start', 'event: progress', 'event: result'])
+    expect(res.write.mock.calls[1][0]).toContain('"nodeCount":2')
+    expect(res.write.mock.calls[2][0]).toContain('"flowName":"Demo"')
+    expect(res.end).toHaveBeenCalled()
+  })
+
+  test('replays /ai/build-flow through the mock connector', async () => {
+    process.env.AI_CONNECTOR = 'mock'
+    process.env.AI_MOCK_CASSETTE = `${__dirname}/fixtures/cassettes/mock-connector.json`
+
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+    await buildFlowHandler({ body: { prompt: 'Create a hello world flow' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(200)
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      flowName: 'Hello World',
+      metadata: expect.objectContaining({ connector: 'mock' })
+    }))
+  })
+
+  test('aborts the provider call when the client disconnects', async () => {
+    const { EventEmitter } = require('events') // eslint-disable-line global-require
+    const httpAdminPost = jest.fn()
+    const res = Object.assign(new EventEmitter(), {
+      writableEnded: false,
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    })
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    azure.resyncNode.mockImplementationOnce(async (...args) => {
+      const { signal } = args[6]
+
+      expect(signal.aborted).toBe(false)
+      res.emit('close')
+      expect(signal.aborted).toBe(true)
+
+      return { success: false, error: 'Request cancelled', errorCode: 'cancelled' }
+    })
+
+    const [, resyncHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/resync-node')
+    await resyncHandler({
+      body: {
+        nodeId: 'n1', nodeType: 'change', info: 'Add 1', currentConfig: {}
+      }
+    }, res)
+
+    expect(azure.resyncNode).toHaveBeenCalled()
+    expect(RED.log.info).toHaveBeenCalledWith(expect.stringContaining('cancelled by the client'))
+    expect(RED.log.warn).not.toHaveBeenCalled()
+  })
+
+  test('keeps the turns of a build-flow conversation', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const inject = {
+      id: '1a2b3c4d5e6f7a8b', type: 'inject', x: 120, y: 80, wires: []
+    }
+    const first = [{ ...inject, crontab: '00 07 * * *' }]
+    const second = [{ ...inject, crontab: '00 08 * * *' }]
+
+    azure.generateFlow
+      .mockResolvedValueOnce({ success: true, flow: first, flowName: 'Report' })
+      .mockResolvedValueOnce({ success: true, flow: second, flowName: 'Report' })
+
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+
+    await buildFlowHandler({ body: { prompt: 'report at 7am', conversation: {} } }, res)
+
+    const { conversation } = res.json.mock.calls[0][0]
+
+    await buildFlowHandler({
+      body: {
+        prompt: 'now make it 8am',
+        context: { nodes: first },
+        conversation: { id: conversation.id }
+      }
+    }, res)
+
+    const options = azure.generateFlow.mock.calls[1][3]
+
+    expect(conversation).toEqual(expect.objectContaining({ turns: 1 }))
+    expect(options.history).toEqual([
+      { role: 'user', content: 'report at 7am' },
+      {
+        role: 'assistant',
+        content: JSON.stringify({
+          flowName: 'Report',
+          flow: [{
+            id: inject.id, type: 'inject', wires: [], crontab: '00 07 * * *'
+          }]
+        })
+      }
+    ])
+    expect(res.json.mock.calls[1][0].conversation).toEqual({
+      id: conversation.id,
+      turns: 2,
+      diff: {
+        added: [],
+        removed: [],
+        modified: [{ id: inject.id, type: 'inject', changedFields: ['crontab'] }]
+      }
+    })
+  })
+
+  test('asks clarifying questions only until they are answered', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const questions = [{ id: 'tz', question: 'Which timezone?' }]
+
+    azure.generateFlow
+      .mockResolvedValueOnce({ success: true, flow: [], questions })
+      .mockResolvedValueOnce({ success: true, flow: [{ id: 'a' }] })
+
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+
+    await buildFlowHandler({ body: { prompt: 'daily report at 7am', clarify: true } }, res)
+    await buildFlowHandler({
+      body: {
+        prompt: 'daily report at 7am',
+        clarify: true,
+        clarifications: [{ id: 'tz', question: 'Which timezone?', answer: 'UTC' }]
+      }
+    }, res)
+
+    const [firstPrompt, firstContext] = azure.generateFlow.mock.calls[0]
+    const [secondPrompt, secondContext] = azure.generateFlow.mock.calls[1]
+
+    expect(firstPrompt).toBe('daily report at 7am')
+    expect(firstContext.maxQuestions).toBe(3)
+    expect(res.json.mock.calls[0][0].questions).toEqual(questions)
+    expect(secondPrompt).toContain('Which timezone?\n  UTC')
+    expect(secondContext.maxQuestions).toBe(0)
+  })
+
+  test('plans a flow and builds the approved plan', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+
+    const plan = {
+      title: 'Daily report',
+      summary: '',
+      stages: [{ name: 'Trigger', description: 'Every day at 7am', nodeTypes: ['inject'] }],
+      externalSystems: [],
+      configNodes: []
+    }
+
+    azure.planFlow = jest.fn().mockResolvedValue({ success: true, plan })
+    await pluginEntry(RED)
+
+    const [, planFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/plan-flow')
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+
+    await planFlowHandler({ body: { prompt: 'daily report at 7am' } }, res)
+    await buildFlowHandler({ body: { prompt: 'daily report at 7am', clarify: true, plan } }, res)
+
+    const [prompt, context] = azure.generateFlow.mock.calls[0]
+
+    expect(azure.planFlow).toHaveBeenCalledWith(
+      'daily report at 7am',
+      expect.objectContaining({ customNodes: [] }),
+      undefined,
+      expect.objectContaining({ signal: expect.anything() })
+    )
+    expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({ success: true, plan }))
+    expect(prompt).toContain('APPROVED PLAN')
+    expect(prompt).toContain('1. Trigger - Every day at 7am')
+    expect(context.maxQuestions).toBe(0)
+  })
+
+  test('asks for patch operations when AI_FLOW_OUTPUT is patch', async () => {
+    process.env.AI_FLOW_OUTPUT = 'patch'
+
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const patch = [{ op: 'remove', id: 'a' }]
+
+    azure.generateFlow.mockResolvedValueOnce({ success: true, flow: [], patch })
+
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+
+    await buildFlowHandler({
+      body: { prompt: 'remove the inject', context: { nodes: [{ id: 'a', type: 'inject' }] } }
+    }, res)
+
+    expect(azure.generateFlow.mock.calls[0][1].outputMode).toBe('patch')
+    expect(res.json.mock.calls[0][0].patch).toEqual(patch)
+    expect(RED.log.info).toHaveBeenCalledWith('[ai-flow-builder] Patched the flow with 1 operations from prompt')
+  })
+
+  test('builds a large plan one stage at a time and stitches the stages', async () => {
+    process.env.AI_HIERARCHICAL_MIN_STAGES = '2'
+
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const plan = {
+      title: 'Daily report',
+      stages: [
+        { name: 'Fetch', description: 'Get tickets', nodeTypes: [] },
+        { name: 'Deliver', description: 'Mail them', nodeTypes: [] }
+      ]
+    }
+
+    azure.generateFlow
+      .mockResolvedValueOnce({
+        success: true,
+        flow: [{ id: 'n1', type: 'inject', wires: [[]] }],
+        interface: {
+          input: '', output: 'n1', outputPort: 0, msg: 'payload is the ticket list'
+        }
+      })
+      .mockResolvedValueOnce({
+        success: true,
+        flow: [{ id: 'n1', type: 'e-mail', wires: [] }],
+        interface: {
+          input: 'n1', output: '', outputPort: 0, msg: ''
+        }
+      })
+
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+
+    await buildFlowHandler({
+      body: {
+        prompt: 'daily report',
+        plan,
+        clarifications: [{ id: 'q1', question: 'Which mailbox?', answer: 'reports@example.com' }]
+      }
+    }, res)
+
+    const [firstPrompt, firstContext] = azure.generateFlow.mock.calls[0]
+    const [secondPrompt] = azure.generateFlow.mock.calls[1]
+    const output = res.json.mock.calls[0][0]
+    const [inject, email] = output.flow
+
+    expect(firstPrompt).toContain('BUILD STAGE 1 OF 2')
+    expect(firstContext.stage).toBe(true)
+    expect(secondPrompt).toContain('Messages arrive from stage 1 (Fetch): payload is the ticket list')
+    expect(firstPrompt).toContain('reports@example.com')
+    expect(secondPrompt).toContain('reports@example.com')
+    expect(output.flowName).toBe('Daily report')
+    expect(inject.wires).toEqual([[email.id]])
+    expect(output.metadata.hierarchical.stages.map(stage => [stage.name, stage.nodeCount]))
+      .toEqual([['Fetch', 1], ['Deliver', 1]])
+  })
+
+  test('returns the best of several candidate flows', async () => {
+    process.env.AI_FLOW_CANDIDATES = '3'
+    process.env.AI_FLOW_CANDIDATE_TEMPERATURES = '0.2, 0.9'
+
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const clean = [
+      {
+        id: '1a2b3c4d5e6f7a8b', type: 'inject', x: 120, y: 80, wires: [['9f8e7d6c5b4a3f2e']]
+      },
+      {
+        id: '9f8e7d6c5b4a3f2e', type: 'debug', x: 300, y: 80, wires: []
+      }
+    ]
+
+    azure.generateFlow
+      .mockResolvedValueOnce({
+        success: true,
+        flow: [{ id: 'a', type: 'injector', wires: [['b']] }],
+        metadata: { temperature: 0.2 }
+      })
+      .mockResolvedValueOnce({ success: true, flow: clean, metadata: { temperature: 0.9 } })
+      .mockResolvedValueOnce({ success: false, error: 'Rate limited' })
+
+    const [, buildFlowHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/build-flow')
+
+    await buildFlowHandler({ body: { prompt: 'inject into debug' } }, res)
+
+    const output = res.json.mock.calls[0][0]
+
+    expect(azure.generateFlow.mock.calls.map(call => call[3].temperature)).toEqual([0.2, 0.9, 0.2])
+    expect(output.flow).toEqual(clean)
+    expect(output.metadata.candidates).toEqual([
+      {
+        candidate: 1,
+        temperature: 0.2,
+        success: true,
+        nodeCount: 1,
+        score: 5,
+        problems: { unknown_type: 1, dangling_wire: 1 },
+        selected: false
+      },
+      {
+        candidate: 2,
+        temperature: 0.9,
+        success: true,
+        nodeCount: 2,
+        score: 0,
+        problems: {},
+        selected: true
+      },
+      {
+        candidate: 3,
+        temperature: null,
+        success: false,
+        nodeCount: 0,
+        score: null,
+        problems: {},
+        selected: false
+      }
+    ])
+  })
+
+  test('validates a flows file against the runtime registry', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() },
+      nodes: { getType: jest.fn(type => (type === 'e-mail' ? () => {} : null)) },
+      util: {
+        prepareJSONataExpression: jest.fn(expression => {
+          if (expression.endsWith('(')) {
+            throw new Error('Unexpected end of expression')
+          }
+        })
+      }
+    }
+
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const [, validateHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/validate-flow')
+    const flows = [
+      { id: 't1', type: 'tab' },
+      {
+        id: 'a', type: 'change', z: 't1', rules: [{ t: 'set', to: '$now(', tot: 'jsonata' }], wires: [['b']]
+      },
+      {
+        id: 'b', type: 'e-mail', z: 't1', wires: []
+      },
+      {
+        id: 'c', type: 'magic', z: 't1', wires: [['x']]
+      }
+    ]
+
+    await validateHandler({ body: { flow: { rev: '1', flows } } }, res)
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      valid: false,
+      score: 7,
+      counts: { unknown_type: 1, dangling_wire: 1, jsonata: 1 }
+    }))
+    expect(res.json.mock.calls[0][0].problems.map(problem => problem.id)).toEqual(['a', 'c', 'c'])
+
+    await validateHandler({ body: { flow: 'flows.json' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+  })
+
+  test('fixes mechanical mistakes of a correction in code', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    const currentFlow = [{
+      id: 'legacy.id', type: 'inject', z: 'f1f1f1f1f1f1f1f1', x: 100, y: 40, wires: []
+    }]
+
+    azure.generateFlow.mockResolvedValueOnce({
+      success: true,
+      flow: [
+        {
+          id: 'legacy.id', type: 'inject', z: 'f1f1f1f1f1f1f1f1', x: 100, y: 40, wires: [['out']]
+        },
+        {
+          id: 'out', type: 'debug', z: 'f1f1f1f1f1f1f1f1', x: '300', y: 40
+        }
+      ]
+    })
+
+    const [, correctHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/auto-verify/correct')
+
+    await correctHandler({ body: { currentFlow, errorSummary: 'debug has no wires' } }, res)
+
+    const output = res.json.mock.calls[0][0]
+    const [inject, debug] = output.flow
+
+    expect(inject.id).toBe('legacy.id')
+    expect(inject.wires).toEqual([[debug.id]])
+    expect(debug).toEqual(expect.objectContaining({
+      z: 'f1f1f1f1f1f1f1f1', x: 300, wires: []
+    }))
+    expect(output.fixes.map(fix => fix.fix)).toEqual(['id', 'wires', 'numeric_field'])
+    expect(RED.log.info).toHaveBeenCalledWith('[ai-auto-verify] Correction attempt 1 returned 2 nodes, 3 fixed in code')
+  })
+
+  test('answers a correction whose flow is not a list', async () => {
+    const httpAdminPost = jest.fn()
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const azure = require('../resources/ai-connectors/azure-openai-connector-node')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    azure.generateFlow.mockResolvedValueOnce({ success: true, flow: { nodes: [] } })
+
+    const [, correctHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/auto-verify/correct')
+
+    await correctHandler({ body: { currentFlow: [], errorSummary: 'no nodes' } }, res)
+
+    expect(res.status).not.toHaveBeenCalledWith(500)
+    expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({ fixes: [] }))
+  })
+
+  test('clears the response cache', async () => {
+    process.env.AI_CACHE = 'memory'
+
+    const httpAdminPost = jest.fn()
+    const res = { json: jest.fn() }
+    const RED = {
+      settings: {},
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      httpAdmin: { post: httpAdminPost, get: jest.fn() },
+      plugins: { registerPlugin: jest.fn() }
+    }
+
+    // eslint-disable-next-line global-require
+    const ResponseCache = require('../resources/ai-connectors/response-cache')
+    // eslint-disable-next-line global-require
+    const pluginEntry = require('../index')
+    await pluginEntry(RED)
+
+    ResponseCache.set('a', { parsed: {} })
+    ResponseCache.set('b', { parsed: {} })
+
+    const [, clearHandler] = httpAdminPost.mock.calls.find(call => call[0] === '/ai/cache/clear')
+    await clearHandler({}, res)
+
+    expect(res.json).toHaveBeenCalledWith({ success: true, cleared: 2 })
+    expect(ResponseCache.size()).toBe(0)
+  })
 })
@@ -0,0 +1,26 @@
+const JsonRepair = require('../resources/ai-connectors/json-repair')
+const corpus = require('./fixtures/malformed-responses.json')
+
+describe('json repair', () => {
+  test.each(corpus.repairable.map(entry => [entry.name, entry]))('repairs %s', (name, entry) => {
+    const result = JsonRepair.repair(entry.response)
+
+    expect(result.success).toBe(true)
+    expect(result.value).toEqual(entry.expected)
+    expect(result.fixes.sort()).toEqual(entry.fixes.slice().sort())
+  })
+
+  test.each(corpus.unrepairable.map(entry => [entry.name, entry]))('gives up on %s', (name, entry) => {
+    expect(JsonRepair.repair(entry.response)).toEqual({ success: false, value: null, fixes: [] })
+  })
+
+  test('parseJson reports the fixes it needed', () => {
+    // eslint-disable-next-line global-require
+    const base = require('../resources/ai-connectors/base-connector')
+    const result = base.parseJson('{"name": "⧫ Add", "description": "Add 1",}')
+
+    expect(result.success).toBe(true)
+    expect(result.repairs).toEqual(['trailing_commas'])
+    expect(base.parseJson('{"name": "x"}').repairs).toEqual([])
+  })
+})
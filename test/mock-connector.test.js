@@ -0,0 +1,128 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const CASSETTE = path.join(__dirname, 'fixtures', 'cassettes', 'mock-connector.json')
+const CHANGE_NODE = { id: 'n1', type: 'change', name: 'Add 1' }
+
+describe('mock connector', () => {
+  let getEnv
+  let mock
+
+  const load = settings => {
+    jest.resetModules()
+    // eslint-disable-next-line global-require
+    getEnv = require('../resources/config-loader')
+    getEnv.setSettings(settings)
+    // eslint-disable-next-line global-require
+    mock = require('../resources/ai-connectors/mock-connector-node')
+  }
+
+  afterEach(() => {
+    getEnv.setSettings(null)
+  })
+
+  test('replays recorded answers for every operation', async () => {
+    load({ AI_CONNECTOR: 'mock', AI_MOCK_CASSETTE: CASSETTE })
+
+    const config = mock.getConfig()
+    const flow = await mock.generateFlow('Create a hello world flow', { customNodes: [] })
+    const node = await mock.resyncNode('n1', 'change', 'Add 1 to the payload', { ...CHANGE_NODE }, false, 'Add 1')
+    const description = await mock.generateDescription('n1', 'change', { ...CHANGE_NODE }, false, 'Add 1')
+
+    expect(await mock.validateConfig(config)).toEqual({ valid: true, errors: [] })
+    expect(flow.success).toBe(true)
+    expect(flow.flowName).toBe('Hello World')
+    expect(flow.flow.map(n => n.type)).toEqual(['tab', 'inject', 'debug'])
+    expect(flow.metadata.mock.mode).toBe('replay')
+    expect(node.updatedNode.rules).toHaveLength(1)
+    expect(description.description).toBe('Adds one to msg.payload.')
+  })
+
+  test('reports streaming progress while replaying', async () => {
+    load({ AI_MOCK_CASSETTE: CASSETTE })
+
+    const onProgress = jest.fn()
+    const flow = await mock.generateFlow('Create a hello world flow', { customNodes: [] }, undefined, { onProgress })
+
+    expect(flow.metadata.streamed).toBe(true)
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ nodeCount: 3, flowName: 'Hello World' }))
+  })
+
+  test('ignores whitespace and node ids when matching prompts', () => {
+    load({})
+
+    expect(mock.key('flow', 'sys', 'wire  a1b2c3d4e5f60718\n to it'))
+      .toBe(mock.key('flow', 'sys', 'wire 0000111122223333 to it'))
+    expect(mock.key('flow', 'sys', 'a')).not.toBe(mock.key('node', 'sys', 'a'))
+  })
+
+  test('fails with mock_miss for an unrecorded prompt', async () => {
+    load({ AI_MOCK_CASSETTE: CASSETTE })
+
+    const flow = await mock.generateFlow('Something never recorded', {})
+
+    expect(flow.success).toBe(false)
+    expect(flow.errorCode).toBe('mock_miss')
+    expect(flow.error).toContain('AI_MOCK_MODE=record')
+  })
+
+  test('records answers from a real connector into the cassette', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfl-cassette-'))
+    const cassette = path.join(dir, 'recorded.json')
+    // eslint-disable-next-line global-require
+    const base = require('../resources/ai-connectors/base-connector')
+    const real = {
+      ...base,
+      name: 'real',
+      getConfig: () => ({ model: 'real-model' }),
+      validateConfig: () => ({ valid: true, errors: [] }),
+      complete: jest.fn(async () => ({
+        success: true,
+        parsed: { flowName: 'Recorded', flow: [{ id: 'a', type: 'inject' }] },
+        metadata: { model: 'real-model' }
+      }))
+    }
+
+    try {
+      load({
+        AI_MOCK_MODE: 'record',
+        AI_MOCK_CASSETTE: cassette,
+        AI_MOCK_RECORD_CONNECTOR: 'real',
+        semanticFlowLanguage: { connectors: { real } }
+      })
+
+      expect(await mock.validateConfig(mock.getConfig())).toEqual({ valid: true, errors: [] })
+
+      const recorded = await mock.generateFlow('Inject something', {})
+      const stored = JSON.parse(fs.readFileSync(cassette, 'utf8'))
+      const [entry] = Object.values(stored.entries)
+
+      expect(recorded.flowName).toBe('Recorded')
+      expect(recorded.metadata.mock.mode).toBe('record')
+      expect(entry).toEqual(expect.objectContaining({ operation: 'flow', model: 'real-model' }))
+
+      load({ AI_MOCK_CASSETTE: cassette })
+
+      const replayed = await mock.generateFlow('Inject something', {})
+
+      expect(replayed.flow).toEqual([{ id: 'a', type: 'inject' }])
+      expect(real.complete).toHaveBeenCalledTimes(1)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('validateConfig explains what is missing', async () => {
+    load({})
+    expect((await mock.validateConfig(mock.getConfig())).errors)
+      .toEqual(['Missing required fields: cassette'])
+
+    load({ AI_MOCK_CASSETTE: 'missing.json' })
+    expect((await mock.validateConfig(mock.getConfig())).errors[0]).toContain('Cassette not found')
+
+    load({ AI_MOCK_MODE: 'record', AI_MOCK_CASSETTE: 'x.json' })
+    expect((await mock.validateConfig(mock.getConfig())).errors)
+      .toEqual(['AI_MOCK_RECORD_CONNECTOR is required in record mode'])
+  })
+})
@@ -0,0 +1,105 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('response cache', () => {
+  const originalEnv = { ...process.env }
+  let ResponseCache
+
+  const load = env => {
+    jest.resetModules()
+    process.env = { ...originalEnv, ...env }
+    // eslint-disable-next-line global-require
+    ResponseCache = require('../resources/ai-connectors/response-cache')
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  afterAll(() => {
+    process.env = originalEnv
+  })
+
+  test('is off by default', () => {
+    load({})
+    ResponseCache.set('k', { parsed: { id: 'n1' } })
+
+    expect(ResponseCache.enabled()).toBe(false)
+    expect(ResponseCache.get('k')).toBeNull()
+  })
+
+  test('keys on connector, model, operation and both prompts', () => {
+    load({})
+
+    const base = {
+      connector: 'openai',
+      model: 'gpt-4o',
+      operation: 'node',
+      systemPrompt: 'sys',
+      userPrompt: 'user'
+    }
+
+    expect(ResponseCache.key(base)).toBe(ResponseCache.key({ ...base }))
+    expect(ResponseCache.key(base)).toMatch(/^openai\|gpt-4o\|node\|[0-9a-f]{64}$/)
+    expect(ResponseCache.key({ ...base, model: 'gpt-4o-mini' })).not.toBe(ResponseCache.key(base))
+    expect(ResponseCache.key({ ...base, operation: 'description' })).not.toBe(ResponseCache.key(base))
+    expect(ResponseCache.key({ ...base, systemPrompt: 'sys2' })).not.toBe(ResponseCache.key(base))
+    expect(ResponseCache.key({ ...base, temperature: 0.2 }))
+      .not.toBe(ResponseCache.key({ ...base, temperature: 0.9 }))
+    expect(ResponseCache.key({ ...base, structuredOutput: true }))
+      .not.toBe(ResponseCache.key({ ...base, structuredOutput: false }))
+  })
+
+  test('expires entries after the TTL', () => {
+    load({ AI_CACHE: 'memory', AI_CACHE_TTL_MS: '1000' })
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000)
+
+    ResponseCache.set('k', { parsed: { id: 'n1' } })
+    now.mockReturnValue(10500)
+    expect(ResponseCache.get('k')).toEqual({ value: { parsed: { id: 'n1' } }, ageMs: 500 })
+
+    now.mockReturnValue(11001)
+    expect(ResponseCache.get('k')).toBeNull()
+    expect(ResponseCache.size()).toBe(0)
+  })
+
+  test('evicts the least recently used entry over the size limit', () => {
+    load({ AI_CACHE: 'memory', AI_CACHE_MAX_ENTRIES: '2' })
+
+    ResponseCache.set('a', 1)
+    ResponseCache.set('b', 2)
+    ResponseCache.get('a')
+    ResponseCache.set('c', 3)
+
+    expect(ResponseCache.get('b')).toBeNull()
+    expect(ResponseCache.get('a').value).toBe(1)
+    expect(ResponseCache.get('c').value).toBe(3)
+  })
+
+  test('persists disk entries under userDir across restarts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfl-cache-'))
+
+    try {
+      load({ AI_CACHE: 'disk' })
+      ResponseCache.setUserDir(dir)
+      ResponseCache.set('k', { parsed: { name: 'n' } })
+      await ResponseCache.flush()
+
+      expect(fs.existsSync(path.join(dir, 'sfl-ai-cache.json'))).toBe(true)
+
+      load({ AI_CACHE: 'disk' })
+      ResponseCache.setUserDir(dir)
+      expect(ResponseCache.get('k').value).toEqual({ parsed: { name: 'n' } })
+
+      expect(await ResponseCache.clear()).toBe(1)
+
+      load({ AI_CACHE: 'disk' })
+      ResponseCache.setUserDir(dir)
+      expect(ResponseCache.size()).toBe(0)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
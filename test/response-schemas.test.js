@@ -0,0 +1,56 @@
+const ResponseSchemas = require('../resources/ai-connectors/response-schemas')
+
+describe('response schemas', () => {
+  test('defines a schema for every connector operation', () => {
+    expect(ResponseSchemas.get('flow').schema.required).toEqual(['flowName', 'flow'])
+    expect(ResponseSchemas.get('node').schema.required).toEqual(['id', 'type'])
+    expect(ResponseSchemas.get('description').schema.required).toEqual(['name', 'description'])
+    expect(ResponseSchemas.get('patch').schema.required).toEqual(['flowName', 'patch'])
+    expect(ResponseSchemas.get('plan').schema.required)
+      .toEqual(['title', 'summary', 'stages', 'externalSystems', 'configNodes'])
+    expect(ResponseSchemas.get('unknown')).toBeNull()
+  })
+
+  test('only closed schemas use OpenAI strict mode', () => {
+    expect(ResponseSchemas.openAIResponseFormat('description').json_schema.strict).toBe(true)
+    expect(ResponseSchemas.openAIResponseFormat('flow')).toEqual(expect.objectContaining({
+      type: 'json_schema',
+      json_schema: expect.objectContaining({ name: 'node_red_flow', strict: false })
+    }))
+  })
+
+  test('converts closed schemas to the Gemini subset and skips open ones', () => {
+    expect(ResponseSchemas.geminiResponseSchema('description')).toEqual({
+      type: 'OBJECT',
+      properties: {
+        name: { type: 'STRING' },
+        description: { type: 'STRING' }
+      },
+      required: ['name', 'description']
+    })
+    expect(ResponseSchemas.geminiResponseSchema('flow')).toBeNull()
+  })
+
+  test('validates parsed answers against the open schemas too', () => {
+    expect(ResponseSchemas.validate('flow', {
+      flowName: 'Demo',
+      flow: [{
+        id: 'a', type: 'inject', repeat: '', wires: [['b']]
+      }]
+    })).toEqual([])
+    expect(ResponseSchemas.validate('flow', {
+      flowName: 'Demo',
+      flow: [{ id: 'a', x: '100', wires: ['b'] }],
+      notes: 'x'
+    })).toEqual([
+      'answer.notes is not allowed',
+      'answer.flow[0].type is missing',
+      'answer.flow[0].x is string, expected number',
+      'answer.flow[0].wires[0] is string, expected array'
+    ])
+    expect(ResponseSchemas.validate('patch', { flowName: '', patch: [{ op: 'move' }] }))
+      .toEqual(['answer.patch[0].op is "move", expected one of add, update, remove, rewire'])
+    expect(ResponseSchemas.validate('node', [])).toEqual(['answer is array, expected object'])
+    expect(ResponseSchemas.validate('unknown', 1)).toEqual([])
+  })
+})
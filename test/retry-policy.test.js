@@ -0,0 +1,92 @@
+describe('retry policy', () => {
+  let getEnv
+  let RetryPolicy
+  const classify = error => error.code
+
+  beforeEach(() => {
+    jest.resetModules()
+    // eslint-disable-next-line global-require
+    getEnv = require('../resources/config-loader')
+    // eslint-disable-next-line global-require
+    RetryPolicy = require('../resources/ai-connectors/retry-policy')
+    getEnv.setSettings({})
+    jest.spyOn(RetryPolicy, 'sleep').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    getEnv.setSettings({})
+  })
+
+  test('retries retryable failures until one succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce({ code: 'server_error' })
+      .mockRejectedValueOnce({ code: 'network' })
+      .mockResolvedValueOnce('ok')
+    const onRetry = jest.fn()
+
+    await expect(RetryPolicy.run(fn, { classify, onRetry })).resolves.toBe('ok')
+    expect(fn).toHaveBeenCalledTimes(3)
+    expect(onRetry).toHaveBeenCalledTimes(2)
+  })
+
+  test('rethrows non-retryable failures at once', async () => {
+    const fn = jest.fn().mockRejectedValue({ code: 'request_failed' })
+
+    await expect(RetryPolicy.run(fn, { classify })).rejects.toEqual({ code: 'request_failed' })
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  test('stops after AI_RETRY_MAX_ATTEMPTS', async () => {
+    const fn = jest.fn().mockRejectedValue({ code: 'timeout' })
+
+    getEnv.setSettings({ AI_RETRY_MAX_ATTEMPTS: '2' })
+
+    await expect(RetryPolicy.run(fn, { classify })).rejects.toEqual({ code: 'timeout' })
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  test('honours Retry-After but not beyond the maximum delay', async () => {
+    const rateLimited = seconds => ({ code: 'rate_limited', response: { headers: { 'retry-after': seconds } } })
+    const fn = jest.fn()
+      .mockRejectedValueOnce(rateLimited('3'))
+      .mockRejectedValueOnce(rateLimited('120'))
+
+    await expect(RetryPolicy.run(fn, { classify })).rejects.toEqual(rateLimited('120'))
+    expect(RetryPolicy.sleep).toHaveBeenCalledTimes(1)
+    expect(RetryPolicy.sleep).toHaveBeenCalledWith(3000, undefined)
+  })
+
+  test('stops waiting as soon as the request is cancelled', async () => {
+    const fn = jest.fn().mockRejectedValue({ code: 'server_error' })
+    const controller = new AbortController()
+    const started = Date.now()
+
+    RetryPolicy.sleep.mockRestore()
+    getEnv.setSettings({ AI_RETRY_BASE_DELAY_MS: '20000' })
+    setTimeout(() => controller.abort(), 20)
+
+    await expect(RetryPolicy.run(fn, { classify, signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError', message: 'Request cancelled' })
+    expect(fn).toHaveBeenCalledTimes(1)
+    expect(Date.now() - started).toBeLessThan(5000)
+  })
+
+  test('reads retry-after-ms and HTTP dates', () => {
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString()
+
+    expect(RetryPolicy.retryAfterMs({ response: { headers: { 'retry-after-ms': '250' } } })).toBe(250)
+    expect(RetryPolicy.retryAfterMs({ response: { headers: { 'retry-after': inTenSeconds } } }))
+      .toBeGreaterThan(8000)
+    expect(RetryPolicy.retryAfterMs({ response: { headers: {} } })).toBeNull()
+  })
+
+  test('backs off exponentially with jitter', () => {
+    const policy = { baseDelayMs: 1000, maxDelayMs: 30000 }
+
+    expect(RetryPolicy.backoffMs(1, policy)).toBeGreaterThanOrEqual(500)
+    expect(RetryPolicy.backoffMs(1, policy)).toBeLessThanOrEqual(1000)
+    expect(RetryPolicy.backoffMs(3, policy)).toBeGreaterThanOrEqual(2000)
+    expect(RetryPolicy.backoffMs(3, policy)).toBeLessThanOrEqual(4000)
+    expect(RetryPolicy.backoffMs(10, policy)).toBeLessThanOrEqual(30000)
+  })
+})
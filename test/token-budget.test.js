@@ -0,0 +1,83 @@
+const TokenBudget = require('../resources/ai-connectors/token-budget')
+
+describe('token budget', () => {
+  test('estimates tokens from characters per token', () => {
+    expect(TokenBudget.estimateTokens('abcdefgh')).toBe(2)
+    expect(TokenBudget.estimateTokens('abcdefgh', 3.5)).toBe(3)
+    expect(TokenBudget.estimateTokens('')).toBe(0)
+  })
+
+  test('picks the first matching context window', () => {
+    const windows = [[/^big-2/, 200000], [/^big/, 100000]]
+
+    expect(TokenBudget.contextWindowFor('big-2-mini', windows, 8192)).toBe(200000)
+    expect(TokenBudget.contextWindowFor('big-1', windows, 8192)).toBe(100000)
+    expect(TokenBudget.contextWindowFor('other', windows, 8192)).toBe(8192)
+    expect(TokenBudget.contextWindowFor(undefined, windows, 8192)).toBe(8192)
+  })
+
+  test('allocates what the fixed sections leave to the catalogue and flow context', () => {
+    const allowance = TokenBudget.allocate({
+      contextWindow: 10000,
+      outputTokens: 1500,
+      system: 1000,
+      prompt: 500
+    })
+
+    expect(allowance).toEqual({
+      available: 8000, history: 1625, customNodes: 1625, flowContext: 4875
+    })
+    expect(TokenBudget.allocate({
+      contextWindow: 10000,
+      outputTokens: 1500,
+      system: 1000,
+      prompt: 500,
+      flowShare: 0.5
+    }).flowContext).toBe(2437)
+  })
+
+  test('never allocates below zero', () => {
+    expect(TokenBudget.allocate({
+      contextWindow: 4096,
+      outputTokens: 4000,
+      system: 1000,
+      prompt: 100
+    })).toEqual({
+      available: 0, history: 0, customNodes: 0, flowContext: 0
+    })
+  })
+
+  test('takes kept conversation turns out of the catalogue and flow context', () => {
+    expect(TokenBudget.allocate({
+      contextWindow: 10000,
+      outputTokens: 1500,
+      system: 1000,
+      prompt: 500,
+      historyTokens: 2500
+    })).toEqual({
+      available: 8000, history: 1625, customNodes: 1000, flowContext: 3000
+    })
+  })
+
+  test('keeps the newest conversation turns that fit', () => {
+    const turn = n => [
+      { role: 'user', content: `prompt ${n}`.padEnd(40) },
+      { role: 'assistant', content: `answer ${n}`.padEnd(40) }
+    ]
+    const history = [...turn(1), ...turn(2), ...turn(3)]
+
+    expect(TokenBudget.fitHistory(history, 45)).toEqual([...turn(2), ...turn(3)])
+    expect(TokenBudget.fitHistory(history, 19)).toEqual([])
+    expect(TokenBudget.fitHistory(history, 1000)).toEqual(history)
+  })
+
+  test('fits relevant catalogue entries first and keeps the catalogue order', () => {
+    const catalogue = ['a-node', 'b-node', 'c-node', 'd-node'].map(name => ({ name, fields: ['topic'] }))
+    const size = TokenBudget.estimateTokens(`${JSON.stringify(catalogue[0])},`)
+    const kept = TokenBudget.fitCatalogue(catalogue, 1 + size * 2, {
+      relevant: entry => entry.name === 'd-node'
+    })
+
+    expect(kept.map(entry => entry.name)).toEqual(['a-node', 'd-node'])
+  })
+})